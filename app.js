@@ -8,7 +8,7 @@
 // ============================================================
 
 const DB_NAME = 'HealthRecordsDB';
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 let db = null;
 
 function initDB() {
@@ -24,62 +24,140 @@ function initDB() {
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
 
-            // 血糖表
-            if (!database.objectStoreNames.contains('glucose')) {
-                const glucoseStore = database.createObjectStore('glucose', {
+            // 每个指标一张表（v4 起新增体重、体温、血氧、步数）
+            METRIC_KEYS.forEach(key => {
+                if (!database.objectStoreNames.contains(key)) {
+                    const store = database.createObjectStore(key, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    store.createIndex('recordedAt', 'recordedAt', { unique: false });
+                }
+            });
+
+            // v6：用药记录
+            if (!database.objectStoreNames.contains(MEDICATION_STORE)) {
+                const store = database.createObjectStore(MEDICATION_STORE, {
                     keyPath: 'id',
                     autoIncrement: true
                 });
-                glucoseStore.createIndex('recordedAt', 'recordedAt', { unique: false });
+                store.createIndex('recordedAt', 'recordedAt', { unique: false });
             }
 
-            // 血压表
-            if (!database.objectStoreNames.contains('pressure')) {
-                const pressureStore = database.createObjectStore('pressure', {
-                    keyPath: 'id',
-                    autoIncrement: true
+            // v5：设置表（目标范围等），按 key 存取
+            if (!database.objectStoreNames.contains('settings')) {
+                database.createObjectStore('settings', { keyPath: 'key' });
+            }
+
+            // v8：同步用的待上传队列；记录按 uuid 识别
+            if (!database.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
+                database.createObjectStore(SYNC_QUEUE_STORE, { keyPath: 'key' });
+            }
+            BACKUP_STORES.forEach(key => {
+                const store = event.target.transaction.objectStore(key);
+                if (!store.indexNames.contains('uuid')) {
+                    store.createIndex('uuid', 'uuid', { unique: true });
+                }
+            });
+
+            // 旧记录逐条补齐新字段。每张表只开一个游标：多个游标同时更新同一条记录会互相覆盖
+            if (event.oldVersion > 0) {
+                BACKUP_STORES.forEach(key => {
+                    event.target.transaction.objectStore(key).openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        if (migrateRecord(key, cursor.value, event.oldVersion)) {
+                            cursor.update(cursor.value);
+                        }
+                        cursor.continue();
+                    };
                 });
-                pressureStore.createIndex('recordedAt', 'recordedAt', { unique: false });
             }
         };
     });
 }
 
-// 保存血糖
-function saveGlucose(value, notes = '') {
+// 按旧版本号补齐记录字段，有改动时返回 true
+function migrateRecord(storeName, record, oldVersion) {
+    let changed = false;
+
+    // v2：血糖增加测量场景 context，旧记录按测量时间推断
+    if (oldVersion < 2 && storeName === 'glucose' && !record.context) {
+        record.context = inferGlucoseContext(new Date(record.recordedAt));
+        changed = true;
+    }
+
+    // v3：血压增加心率 pulse，旧记录没有心率记为 null
+    if (oldVersion < 3 && storeName === 'pressure' && record.pulse === undefined) {
+        record.pulse = null;
+        changed = true;
+    }
+
+    // v7：记录增加家庭成员 profile，原有记录归默认成员
+    if (oldVersion < 7 && !record.profile) {
+        record.profile = DEFAULT_PROFILE_ID;
+        changed = true;
+    }
+
+    // v8：同步用的 uuid 和修改时间 updatedAt
+    if (oldVersion < 8 && !record.uuid) {
+        record.uuid = newUuid();
+        record.updatedAt = record.updatedAt || record.deletedAt || record.recordedAt;
+        changed = true;
+    }
+
+    return changed;
+}
+
+// 保存一条读数；values 为该指标的字段值，recordedAt 为测量时间（补记时早于现在）
+// 返回保存后的记录（含 id）。开启本地加密时加密后保存
+async function saveReading(metricKey, values, notes = '', recordedAt = new Date()) {
+    const metric = METRICS[metricKey];
+    const record = metric.prepare({
+        ...values,
+        unit: metric.unit,
+        recordedAt: recordedAt.toISOString(),
+        notes: notes,
+        profile: currentProfile,
+        uuid: newUuid(),
+        updatedAt: new Date().toISOString()
+    });
+    const stored = await sealRecord(record);
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([metricKey, SYNC_QUEUE_STORE], 'readwrite');
+        const store = tx.objectStore(metricKey);
+        const request = store.add(stored);
+        queueSyncChange(tx, metricKey, record);
+        request.onsuccess = () => resolve({ ...record, id: request.result });
+        request.onerror = () => reject(request.error);
+    }).then(saved => {
+        requestSync();
+        cancelReminderNotifications(metricKey, saved).catch(error => console.error('Reminder cancel error:', error));
+        return saved;
+    });
+}
+
+// 读取设置，没有时返回 undefined
+function getSetting(key) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('glucose', 'readwrite');
-        const store = tx.objectStore('glucose');
-        const record = {
-            value: value,
-            unit: 'mmol/L',
-            recordedAt: new Date().toISOString(),
-            notes: notes
-        };
-        const request = store.add(record);
-        request.onsuccess = () => resolve(request.result);
+        const tx = db.transaction('settings', 'readonly');
+        const request = tx.objectStore('settings').get(key);
+        request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
         request.onerror = () => reject(request.error);
     });
 }
 
-// 保存血压
-function savePressure(systolic, diastolic, notes = '') {
+function saveSetting(key, value) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('pressure', 'readwrite');
-        const store = tx.objectStore('pressure');
-        const record = {
-            systolic: systolic,
-            diastolic: diastolic,
-            recordedAt: new Date().toISOString(),
-            notes: notes
-        };
-        const request = store.add(record);
-        request.onsuccess = () => resolve(request.result);
+        const tx = db.transaction('settings', 'readwrite');
+        const request = tx.objectStore('settings').put({ key, value });
+        request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
     });
 }
 
-// 获取最近记录
+// 获取当前成员的最近记录
 function getRecent(storeName, limit = 10) {
     return new Promise((resolve, reject) => {
         const tx = db.transaction(storeName, 'readonly');
@@ -91,513 +169,5966 @@ function getRecent(storeName, limit = 10) {
         request.onsuccess = (event) => {
             const cursor = event.target.result;
             if (cursor && results.length < limit) {
-                results.push(cursor.value);
+                if (isVisibleRecord(cursor.value)) {
+                    results.push(cursor.value);
+                }
                 cursor.continue();
             } else {
                 resolve(results);
             }
         };
         request.onerror = () => reject(request.error);
-    });
+    }).then(records => Promise.all(records.map(r => openRecord(r))));
 }
 
-// 获取指定天数内的统计
-function getStats(days) {
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - days);
-    const cutoffISO = cutoff.toISOString();
-
-    return Promise.all([
-        getFilteredRecords('glucose', cutoffISO),
-        getFilteredRecords('pressure', cutoffISO)
-    ]).then(([glucoseRecords, pressureRecords]) => {
-        // 血糖统计
-        const glucoseStats = {
-            count: glucoseRecords.length,
-            average: null,
-            min: null,
-            max: null
-        };
-        if (glucoseRecords.length > 0) {
-            const values = glucoseRecords.map(r => r.value);
-            glucoseStats.average = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1);
-            glucoseStats.min = Math.min(...values);
-            glucoseStats.max = Math.max(...values);
-        }
-
-        // 血压统计
-        const pressureStats = {
-            count: pressureRecords.length,
-            avgSystolic: null,
-            avgDiastolic: null,
-            minSystolic: null,
-            maxSystolic: null,
-            minDiastolic: null,
-            maxDiastolic: null
-        };
-        if (pressureRecords.length > 0) {
-            const systolics = pressureRecords.map(r => r.systolic);
-            const diastolics = pressureRecords.map(r => r.diastolic);
-            pressureStats.avgSystolic = Math.round(systolics.reduce((a, b) => a + b, 0) / systolics.length);
-            pressureStats.avgDiastolic = Math.round(diastolics.reduce((a, b) => a + b, 0) / diastolics.length);
-            pressureStats.minSystolic = Math.min(...systolics);
-            pressureStats.maxSystolic = Math.max(...systolics);
-            pressureStats.minDiastolic = Math.min(...diastolics);
-            pressureStats.maxDiastolic = Math.max(...diastolics);
-        }
+// 获取 start 到 end（含）之间的统计，按指标分别返回
+function getStats(start, end) {
+    const startISO = start.toISOString();
+    const endISO = end.toISOString();
 
-        return { glucose: glucoseStats, pressure: pressureStats };
+    return Promise.all(
+        METRIC_KEYS.map(key => getFilteredRecords(key, startISO, endISO))
+    ).then(results => {
+        const stats = {};
+        METRIC_KEYS.forEach((key, i) => {
+            stats[key] = METRICS[key].stats(results[i]);
+            stats[key].levels = countLevels(METRICS[key], results[i]);
+        });
+        return stats;
     });
 }
 
-function getFilteredRecords(storeName, cutoffISO) {
+// profile 默认为当前成员
+function getFilteredRecords(storeName, cutoffISO, endISO, profile = currentProfile) {
     return new Promise((resolve, reject) => {
         const tx = db.transaction(storeName, 'readonly');
         const store = tx.objectStore(storeName);
         const index = store.index('recordedAt');
-        const range = IDBKeyRange.lowerBound(cutoffISO);
+        const range = endISO
+            ? IDBKeyRange.bound(cutoffISO, endISO)
+            : IDBKeyRange.lowerBound(cutoffISO);
         const request = index.openCursor(range);
         const results = [];
 
         request.onsuccess = (event) => {
             const cursor = event.target.result;
             if (cursor) {
-                results.push(cursor.value);
+                if (isVisibleRecord(cursor.value, profile)) {
+                    results.push(cursor.value);
+                }
                 cursor.continue();
             } else {
                 resolve(results);
             }
         };
         request.onerror = () => reject(request.error);
-    });
+    }).then(records => Promise.all(records.map(r => openRecord(r))));
 }
 
-// ============================================================
-// 语音识别
-// ============================================================
+// 按时间顺序逐条读取当前成员的记录（跳过已删除），不一次性载入全部记录；startISO、endISO 可为空。
+// 开启本地加密时先收集再逐条解密：解密是异步的，不能在游标回调里等待
+function forEachRecord(storeName, startISO, endISO, callback) {
+    const sealed = [];
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const index = tx.objectStore(storeName).index('recordedAt');
+        let range = null;
+        if (startISO && endISO) {
+            range = IDBKeyRange.bound(startISO, endISO);
+        } else if (startISO) {
+            range = IDBKeyRange.lowerBound(startISO);
+        } else if (endISO) {
+            range = IDBKeyRange.upperBound(endISO);
+        }
+        const request = index.openCursor(range);
+        let count = 0;
 
-let recognition = null;
-let isListening = false;
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                if (isVisibleRecord(cursor.value)) {
+                    if (dataKey) {
+                        sealed.push(cursor.value);
+                    } else {
+                        callback(cursor.value);
+                    }
+                    count++;
+                }
+                cursor.continue();
+            } else {
+                resolve(count);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    }).then(async count => {
+        for (const record of sealed) {
+            callback(await openRecord(record));
+        }
+        return count;
+    });
+}
 
-function initSpeechRecognition() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        document.getElementById('statusBar').textContent = '您的浏览器不支持语音识别';
-        document.getElementById('micBtn').style.opacity = '0.5';
-        return false;
-    }
+// 获取单条记录
+function getRecord(storeName, id) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).then(record => openRecord(record));
+}
 
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    recognition = new SpeechRecognition();
-    recognition.lang = 'zh-CN';
-    recognition.continuous = false;
-    recognition.interimResults = true;
+// 更新记录（整条覆盖），同时更新修改时间 updatedAt 供同步比较
+async function updateRecord(storeName, record) {
+    record.updatedAt = new Date().toISOString();
+    const stored = await sealRecord(record);
+    const id = await new Promise((resolve, reject) => {
+        const tx = db.transaction([storeName, SYNC_QUEUE_STORE], 'readwrite');
+        const request = tx.objectStore(storeName).put(stored);
+        queueSyncChange(tx, storeName, record);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    requestSync();
+    return id;
+}
 
-    recognition.onstart = () => {
-        isListening = true;
-        document.getElementById('micBtn').classList.add('listening');
-        document.getElementById('statusBar').textContent = '正在聆听...';
-    };
+// 软删除：只打 deletedAt 标记，可撤销
+async function deleteRecord(storeName, id) {
+    const record = await getRecord(storeName, id);
+    record.deletedAt = new Date().toISOString();
+    return updateRecord(storeName, record);
+}
 
-    recognition.onresult = (event) => {
-        const transcript = event.results[event.results.length - 1][0].transcript;
-        document.getElementById('result').textContent = transcript;
+async function restoreRecord(storeName, id) {
+    const record = await getRecord(storeName, id);
+    delete record.deletedAt;
+    return updateRecord(storeName, record);
+}
 
-        if (event.results[event.results.length - 1].isFinal) {
-            processVoiceInput(transcript);
-        }
-    };
+// ============================================================
+// 数值校验
+// ============================================================
 
-    recognition.onerror = (event) => {
-        console.error('Speech error:', event.error);
-        let errorMsg = '识别出错';
-        if (event.error === 'not-allowed') {
-            errorMsg = '请允许麦克风权限';
-        } else if (event.error === 'no-speech') {
-            errorMsg = '没有检测到语音';
+function isInRange(field, value) {
+    return typeof value === 'number' && value >= field.min && value <= field.max;
+}
+
+// 必填字段都在范围内；可选字段为空或在范围内
+function isValidReading(metric, values) {
+    return metric.fields.every(field => {
+        const value = values[field.key];
+        if (value === null || value === undefined) {
+            return !!field.optional;
         }
-        document.getElementById('statusBar').textContent = errorMsg;
-        stopListening();
-    };
+        return isInRange(field, value);
+    });
+}
 
-    recognition.onend = () => {
-        stopListening();
-    };
+// 静息心率正常范围 50–100 次/分
+const PULSE_NORMAL_MIN = 50;
+const PULSE_NORMAL_MAX = 100;
 
-    return true;
+function isNormalPulse(pulse) {
+    return pulse >= PULSE_NORMAL_MIN && pulse <= PULSE_NORMAL_MAX;
 }
 
-function toggleListening() {
-    // 用户点击时启用语音播报
-    enableSpeech();
+// ============================================================
+// 血糖测量场景
+// ============================================================
 
-    if (isListening) {
-        recognition.stop();
-    } else {
-        if (!recognition && !initSpeechRecognition()) {
-            return;
-        }
-        try {
-            recognition.start();
-        } catch (e) {
-            console.error('Start error:', e);
+const GLUCOSE_CONTEXTS = {
+    fasting: '空腹',
+    preMeal: '餐前',
+    postMeal: '餐后',
+    bedtime: '睡前',
+    random: '随机'
+};
+
+// 没说明场景时按测量时间推断 [起始小时, 场景]
+const GLUCOSE_CONTEXT_BY_HOUR = [
+    [4, 'fasting'],
+    [9, 'postMeal'],
+    [11, 'preMeal'],
+    [12, 'postMeal'],
+    [16, 'preMeal'],
+    [18, 'postMeal'],
+    [21, 'bedtime']
+];
+
+function inferGlucoseContext(date) {
+    const hour = date.getHours();
+    let context = 'bedtime';
+    GLUCOSE_CONTEXT_BY_HOUR.forEach(([start, name]) => {
+        if (hour >= start) {
+            context = name;
         }
-    }
+    });
+    return context;
 }
 
-function stopListening() {
-    isListening = false;
-    document.getElementById('micBtn').classList.remove('listening');
-    document.getElementById('statusBar').textContent = '点击麦克风开始语音记录';
+// 从语音中识别场景：空腹 / 餐前 / 餐后两小时 / 睡前 / 随机
+function parseGlucoseContext(text) {
+    if (/空腹/.test(text)) return 'fasting';
+    if (/(餐前|饭前)/.test(text)) return 'preMeal';
+    if (/(餐后|饭后)/.test(text)) return 'postMeal';
+    if (/睡前/.test(text)) return 'bedtime';
+    if (/随机/.test(text)) return 'random';
+    return null;
 }
 
 // ============================================================
-// 语音解析和处理
+// 目标范围
 // ============================================================
 
-function parseHealthText(text) {
-    const result = {};
+// 默认值参考《中国2型糖尿病防治指南》《中国高血压防治指南》，可在设置中修改
+// 低于 criticalLow 或达到 criticalHigh 为危急；低于 low 为偏低；高于 high 为偏高
+const DEFAULT_TARGETS = {
+    glucoseFasting: { criticalLow: 3.9, low: 4.4, high: 7.0, criticalHigh: 16.7 },
+    glucosePostMeal: { criticalLow: 3.9, low: 4.4, high: 10.0, criticalHigh: 16.7 },
+    systolic: { criticalLow: 80, low: 90, high: 139, criticalHigh: 180 },
+    diastolic: { criticalLow: 50, low: 60, high: 89, criticalHigh: 110 }
+};
 
-    // 血糖：支持 "血糖6.4", "血糖 6.4", "血糖：6.4"
-    const sugarMatch = text.match(/血糖[：:\s]*([0-9]+(?:\.[0-9]+)?)/);
-    if (sugarMatch) {
-        result.bloodSugar = parseFloat(sugarMatch[1]);
-    }
+const TARGET_LABELS = {
+    glucoseFasting: '空腹/餐前血糖 (mmol/L)',
+    glucosePostMeal: '餐后/睡前血糖 (mmol/L)',
+    systolic: '高压 (mmHg)',
+    diastolic: '低压 (mmHg)'
+};
 
-    // 血压：支持 "血压130 80", "血压 130/80", "血压：130 80"
-    const bpMatch = text.match(/血压[：:\s]*([0-9]{2,3})[^\d]{1,3}([0-9]{2,3})/);
-    if (bpMatch) {
-        const sys = parseInt(bpMatch[1]);
-        const dia = parseInt(bpMatch[2]);
-        if (sys >= 60 && sys <= 250 && dia >= 40 && dia <= 150) {
-            result.systolic = sys;
-            result.diastolic = dia;
-        }
+const LEVEL_NAMES = {
+    low: '偏低',
+    normal: '正常',
+    high: '偏高',
+    critical: '危急'
+};
+
+// 当前生效的目标范围，启动时从设置表读取
+let targets = JSON.parse(JSON.stringify(DEFAULT_TARGETS));
+
+async function loadTargets() {
+    const saved = await getSetting('targets');
+    targets = JSON.parse(JSON.stringify(DEFAULT_TARGETS));
+    if (saved) {
+        Object.keys(targets).forEach(key => Object.assign(targets[key], saved[key]));
     }
+}
 
-    return result;
+// 数值分级：low / normal / high / critical
+function classifyValue(value, range) {
+    if (value < range.criticalLow || value >= range.criticalHigh) return 'critical';
+    if (value < range.low) return 'low';
+    if (value > range.high) return 'high';
+    return 'normal';
 }
 
-async function processVoiceInput(text) {
-    const parsed = parseHealthText(text);
+// 多个数值取最严重的一级（血压看高压和低压）
+function worstLevel(levels) {
+    const order = ['normal', 'low', 'high', 'critical'];
+    return levels.reduce((worst, level) => order.indexOf(level) > order.indexOf(worst) ? level : worst, 'normal');
+}
 
-    if (Object.keys(parsed).length === 0) {
-        const speech = '没有听清楚，请说例如：血糖6.4，或者血压130 85';
-        document.getElementById('result').textContent = speech;
-        document.getElementById('statusBar').textContent = '请重试';
-        speak(speech);
-        return;
+// 超出范围时的提醒，危急时按偏低还是偏高给出不同建议。
+// 先看是否危急偏高：高压危急偏高、低压偏低的血压按过高提醒
+function levelWarning(metric, record) {
+    const level = metric.classify(record);
+    if (!level || level === 'normal') return '';
+
+    if (level === 'critical') {
+        return metric.isCriticalHigh(record)
+            ? `${metric.name}过高，请休息后复测，必要时就医。`
+            : `${metric.name}过低，请立即处理，必要时就医。`;
     }
+    return `${metric.name}${LEVEL_NAMES[level]}，请注意。`;
+}
 
-    const savedParts = [];
+// 统计各级别次数
+function countLevels(metric, records) {
+    const counts = { low: 0, normal: 0, high: 0, critical: 0 };
+    records.forEach(r => {
+        const level = metric.classify(r);
+        if (level) counts[level]++;
+    });
+    return counts;
+}
 
-    try {
-        if (parsed.bloodSugar) {
-            await saveGlucose(parsed.bloodSugar, text);
-            savedParts.push(`血糖${parsed.bloodSugar}`);
-        }
+function describeLevels(counts) {
+    const parts = ['high', 'low', 'critical']
+        .filter(level => counts[level] > 0)
+        .map(level => `${LEVEL_NAMES[level]}${counts[level]}次`);
+    return parts.length > 0 ? `超出目标范围的有：${parts.join('，')}。` : '';
+}
 
-        if (parsed.systolic && parsed.diastolic) {
-            await savePressure(parsed.systolic, parsed.diastolic, text);
-            savedParts.push(`血压${parsed.systolic}，${parsed.diastolic}`);
-        }
+// ============================================================
+// 临床统计
+// ============================================================
 
-        const speech = '好的，已记录' + savedParts.join('，') + '。';
-        document.getElementById('result').textContent = speech;
-        document.getElementById('statusBar').textContent = '记录成功';
-        speak(speech);
+// 血糖变异系数达到此值提示波动大（国际共识 CV ≥ 36%）
+const GLUCOSE_CV_HIGH = 36;
 
-        // 刷新历史列表
-        loadHistory(currentTab);
+// mmol/L 换算 mg/dL
+const GLUCOSE_MG_PER_MMOL = 18.016;
 
-    } catch (error) {
-        console.error('Save error:', error);
-        document.getElementById('statusBar').textContent = '保存失败';
-    }
+// 血压按测量时段分组，早晨血压用于发现晨峰高血压
+const BP_DAY_PERIODS = {
+    morning: { name: '早晨', from: 4, to: 12 },
+    afternoon: { name: '下午', from: 12, to: 18 },
+    evening: { name: '晚上', from: 18, to: 4 }
+};
+
+function getDayPeriod(isoTime) {
+    const hour = new Date(isoTime).getHours();
+    return Object.keys(BP_DAY_PERIODS).find(key => {
+        const { from, to } = BP_DAY_PERIODS[key];
+        return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+    });
+}
+
+// 样本标准差，少于 2 个数值时返回 null
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+}
+
+function percentOf(count, total) {
+    return total > 0 ? Math.round(count / total * 100) : 0;
+}
+
+// 由平均血糖估算糖化血红蛋白：eA1c 按 ADAG 公式，GMI 按 Bergenstal 公式
+function estimateA1c(averageMmol) {
+    const mgdl = averageMmol * GLUCOSE_MG_PER_MMOL;
+    return {
+        eA1c: Number(((mgdl + 46.7) / 28.7).toFixed(1)),
+        gmi: Number((3.31 + 0.02392 * mgdl).toFixed(1))
+    };
 }
 
 // ============================================================
-// 语音播报 (iOS Safari 兼容版)
+// 指标定义
 // ============================================================
 
-let voices = [];
-let isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+/**
+ * 指标注册表：每个指标一张表，语音解析、保存、历史标签、报告和导出
+ * 都按这里的定义自动处理，新增指标只需在 METRICS 里加一项。
+ *
+ *   name         名称，用于历史标签和播报
+ *   keywords     语音中识别该指标的关键词，默认为 name
+ *   unit         单位
+ *   fields       数值字段 { key, label, min, max, step, unit, optional }，顺序与语音中一致
+ *   options      选项字段 { key, label, choices }，例如血糖测量场景
+ *   pattern      识别数值的正则，捕获组依次对应 fields
+ *   aggregate    统计方式：'average'（默认）或 'sum'
+ *   decimals     平均值保留的小数位
+ *   speechUnit   播报时数值后面的单位读法
+ *   alwaysReport 没有记录时汇总报告里也说一句
+ *
+ *   compareWords 和上一时段比较时，变大、变小的说法，默认 ['高', '低']
+ *
+ * 可覆盖的方法：parse、parseOptions、prepare、format、describe、describeValue、
+ * describeLatest、stats、summarize（播报用的简要汇总）、details（只在屏幕上显示的
+ * 详细指标）、compare，有目标范围的指标用到的 classify、isBelowTarget、isCriticalHigh，以及趋势图
+ * 用到的 chartSeries、chartBands
+ */
+function defineMetric(key, def) {
+    return Object.assign({
+        key,
+        keywords: [def.name],
+        options: [],
+        aggregate: 'average',
+        decimals: 1,
+        speechUnit: '',
+        alwaysReport: false,
+        compareWords: ['高', '低'],
 
-// 初始化语音
-function initSpeech() {
-    if (!('speechSynthesis' in window)) {
-        console.log('浏览器不支持语音合成');
-        return;
-    }
+        // 按 pattern 取出各字段数值，超出范围返回 null
+        parse(text) {
+            const match = text.match(this.pattern);
+            if (!match) return null;
 
-    // 获取可用语音
-    const loadVoices = () => {
-        voices = speechSynthesis.getVoices();
-        console.log('可用语音:', voices.length, voices.map(v => v.lang));
-    };
+            const values = {};
+            this.fields.forEach((field, i) => {
+                values[field.key] = match[i + 1] === undefined ? null : parseFloat(match[i + 1]);
+            });
+            if (!isValidReading(this, values)) return null;
 
-    // iOS 需要延迟加载
-    if (isIOS) {
-        setTimeout(loadVoices, 100);
-    } else {
-        loadVoices();
-    }
-    speechSynthesis.onvoiceschanged = loadVoices;
+            return Object.assign(values, this.parseOptions(text));
+        },
+
+        // 语音中说到的选项字段
+        parseOptions() {
+            return {};
+        },
+
+        // 保存前补全默认值
+        prepare(record) {
+            return record;
+        },
+
+        // 按目标范围分级，没有目标范围的指标返回 null
+        classify() {
+            return null;
+        },
+
+        isBelowTarget() {
+            return false;
+        },
+
+        // 是否达到危急偏高
+        isCriticalHigh() {
+            return false;
+        },
+
+        // 趋势图中的折线，默认每个必填字段一条
+        chartSeries() {
+            return this.fields
+                .filter(field => !field.optional)
+                .map(field => ({ key: field.key, label: field.label }));
+        },
+
+        // 趋势图中的目标范围色带 { from, to }
+        chartBands() {
+            return [];
+        },
+
+        // 历史列表中的显示文字
+        format(record) {
+            return `${this.name} ${record.value} ${this.unit}`;
+        },
+
+        // 播报用语
+        describe(record) {
+            return this.name + this.describeValue(record);
+        },
+
+        describeValue(record) {
+            return `${record.value}${this.speechUnit}`;
+        },
+
+        describeLatest(record) {
+            return `最近${this.describe(record)}，${formatTime(record.recordedAt)}`;
+        },
+
+        stats(records) {
+            const values = records.map(r => r.value);
+            const stats = { count: values.length, average: null, min: null, max: null };
+            if (values.length > 0) {
+                const total = values.reduce((a, b) => a + b, 0);
+                if (this.aggregate === 'sum') {
+                    stats.total = total;
+                }
+                stats.average = (total / values.length).toFixed(this.decimals);
+                stats.min = Math.min(...values);
+                stats.max = Math.max(...values);
+            }
+            return stats;
+        },
+
+        summarize(stats) {
+            if (stats.count === 0) {
+                return this.alwaysReport ? `没有${this.name}记录。` : '';
+            }
+            if (this.aggregate === 'sum') {
+                return `${this.name}共记录${stats.count}次，合计${stats.total}${this.speechUnit}，` +
+                    `平均每次${stats.average}${this.speechUnit}。`;
+            }
+            return `${this.name}共${stats.count}次，平均${stats.average}${this.speechUnit}，` +
+                `最低${stats.min}，最高${stats.max}。`;
+        },
+
+        details() {
+            return '';
+        },
+
+        // 和上一时段比较平均值，任一时段没有记录时不说
+        compare(stats, previous, previousName) {
+            if (stats.count === 0 || previous.count === 0) return '';
+            const diff = Number((stats.average - previous.average).toFixed(this.decimals));
+            const prefix = this.aggregate === 'sum' ? `平均每次${this.name}` : `平均${this.name}`;
+            return `${prefix}${describeChange(diff, previousName, this.compareWords, this.speechUnit)}。`;
+        }
+    }, def);
 }
 
-// 启用语音（iOS Safari 必须在用户交互中直接调用）
-function enableSpeech() {
-    // iOS Safari 需要在点击事件中直接触发一次
-    if (isIOS && 'speechSynthesis' in window) {
-        const utterance = new SpeechSynthesisUtterance(' ');
-        utterance.volume = 0.01;
-        utterance.rate = 10;
-        speechSynthesis.speak(utterance);
-    }
+const METRICS = {
+    glucose: defineMetric('glucose', {
+        name: '血糖',
+        unit: 'mmol/L',
+        fields: [{ key: 'value', label: '血糖', min: 1, max: 35, step: 0.1 }],
+        options: [{ key: 'context', label: '测量场景', choices: GLUCOSE_CONTEXTS }],
+        // 支持 "血糖6.4", "血糖 6.4", "血糖：6.4", "空腹血糖 6.1"
+        pattern: /血糖[：:\s]*([0-9]+(?:\.[0-9]+)?)/,
+        alwaysReport: true,
+
+        parseOptions(text) {
+            const context = parseGlucoseContext(text);
+            return context ? { context } : {};
+        },
+
+        // 没说明场景时按测量时间推断
+        prepare(record) {
+            if (!record.context) {
+                record.context = inferGlucoseContext(new Date(record.recordedAt));
+            }
+            return record;
+        },
+
+        format(record) {
+            return `${GLUCOSE_CONTEXTS[record.context] || ''}血糖 ${record.value} mmol/L`;
+        },
+
+        // 空腹和餐前用空腹目标，其余用餐后目标
+        targetRange(record) {
+            return ['fasting', 'preMeal'].includes(record.context)
+                ? targets.glucoseFasting
+                : targets.glucosePostMeal;
+        },
+
+        classify(record) {
+            return classifyValue(record.value, this.targetRange(record));
+        },
+
+        isBelowTarget(record) {
+            return record.value < this.targetRange(record).low;
+        },
+
+        isCriticalHigh(record) {
+            return record.value >= this.targetRange(record).criticalHigh;
+        },
+
+        // 色带：空腹目标，以及放宽到餐后上限的部分
+        chartBands() {
+            return [
+                { from: targets.glucoseFasting.low, to: targets.glucoseFasting.high },
+                { from: targets.glucoseFasting.high, to: targets.glucosePostMeal.high }
+            ];
+        },
+
+        describe(record) {
+            return `${GLUCOSE_CONTEXTS[record.context] || ''}血糖${record.value}`;
+        },
+
+        // 总体 + 按测量场景
+        stats(records) {
+            const stats = METRIC_DEFAULTS.stats.call(this, records);
+            stats.byContext = {};
+            Object.keys(GLUCOSE_CONTEXTS).forEach(context => {
+                const subset = records.filter(r => r.context === context);
+                if (subset.length > 0) {
+                    stats.byContext[context] = METRIC_DEFAULTS.stats.call(this, subset);
+                }
+            });
+
+            // 波动：标准差和变异系数
+            const values = records.map(r => r.value);
+            const sd = standardDeviation(values);
+            stats.sd = sd === null ? null : Number(sd.toFixed(1));
+            stats.cv = sd === null ? null : Math.round(sd / parseFloat(stats.average) * 100);
+
+            // 目标范围内、低于、高于的百分比，按各条记录的测量场景判断
+            const below = records.filter(r => this.classify(r) !== 'normal' && this.isBelowTarget(r)).length;
+            const inRange = records.filter(r => this.classify(r) === 'normal').length;
+            stats.timeBelowRange = percentOf(below, records.length);
+            stats.timeInRange = percentOf(inRange, records.length);
+            stats.timeAboveRange = percentOf(records.length - below - inRange, records.length);
+
+            stats.estimatedA1c = records.length > 0 ? estimateA1c(parseFloat(stats.average)) : null;
+            return stats;
+        },
+
+        summarize(stats) {
+            let text = METRIC_DEFAULTS.summarize.call(this, stats);
+            const contextParts = Object.entries(stats.byContext || {}).map(([context, c]) =>
+                `${GLUCOSE_CONTEXTS[context]}平均${c.average}，共${c.count}次`
+            );
+            if (contextParts.length > 0) {
+                text += `其中${contextParts.join('；')}。`;
+            }
+            if (stats.count > 0) {
+                text += `达标的占百分之${stats.timeInRange}，估算糖化血红蛋白约百分之${stats.estimatedA1c.eA1c}。`;
+            }
+            if (stats.cv !== null && stats.cv >= GLUCOSE_CV_HIGH) {
+                text += '血糖波动较大。';
+            }
+            return text;
+        },
+
+        details(stats) {
+            if (stats.count === 0) return '';
+
+            const lines = [
+                `目标范围内 ${stats.timeInRange}%，低于 ${stats.timeBelowRange}%，高于 ${stats.timeAboveRange}%`,
+                `估算糖化血红蛋白 eA1c ${stats.estimatedA1c.eA1c}%，GMI ${stats.estimatedA1c.gmi}%（由平均血糖估算，不能代替化验）`
+            ];
+            if (stats.sd !== null) {
+                lines.unshift(`标准差 ${stats.sd} mmol/L，变异系数 ${stats.cv}%` +
+                    (stats.cv >= GLUCOSE_CV_HIGH ? `（≥${GLUCOSE_CV_HIGH}%，波动较大）` : ''));
+            }
+            return lines.join('\n');
+        }
+    }),
+
+    pressure: defineMetric('pressure', {
+        name: '血压',
+        unit: 'mmHg',
+        fields: [
+            { key: 'systolic', label: '高压 (收缩压)', min: 60, max: 250, step: 1 },
+            { key: 'diastolic', label: '低压 (舒张压)', min: 40, max: 150, step: 1 },
+            { key: 'pulse', label: '心率', min: 30, max: 200, step: 1, unit: '次/分', optional: true }
+        ],
+        // 血压：支持 "血压130 80", "血压 130/80", "血压：130 80"
+        // 心率：支持 "血压130 85 心率72", "血压 130 85 脉搏 72", "血压130/85/72"
+        pattern: /血压[：:\s]*([0-9]{2,3})[^\d]{1,3}([0-9]{2,3})(?:[\s,，\/、]+([0-9]{2,3})(?![\d.]))?/,
+        alwaysReport: true,
+
+        // 心率超出范围时只丢掉心率，血压照常记录
+        parse(text) {
+            const match = text.match(this.pattern);
+            if (!match) return null;
+
+            const values = {
+                systolic: parseInt(match[1]),
+                diastolic: parseInt(match[2]),
+                pulse: null
+            };
+            const pulseMatch = text.match(/(心率|脉搏|心跳)[：:\s]*([0-9]{2,3})/);
+            const pulse = parseInt(pulseMatch ? pulseMatch[2] : match[3]);
+            if (isInRange(this.fields[2], pulse)) {
+                values.pulse = pulse;
+            }
+            return isValidReading(this, values) ? values : null;
+        },
+
+        classify(record) {
+            return worstLevel([
+                classifyValue(record.systolic, targets.systolic),
+                classifyValue(record.diastolic, targets.diastolic)
+            ]);
+        },
+
+        isBelowTarget(record) {
+            return record.systolic < targets.systolic.low || record.diastolic < targets.diastolic.low;
+        },
+
+        isCriticalHigh(record) {
+            return record.systolic >= targets.systolic.criticalHigh || record.diastolic >= targets.diastolic.criticalHigh;
+        },
+
+        chartSeries() {
+            return [
+                { key: 'systolic', label: '高压' },
+                { key: 'diastolic', label: '低压' }
+            ];
+        },
+
+        chartBands() {
+            return [
+                { from: targets.systolic.low, to: targets.systolic.high },
+                { from: targets.diastolic.low, to: targets.diastolic.high }
+            ];
+        },
+
+        format(record) {
+            const pulse = record.pulse
+                ? ` · 心率 ${record.pulse}${isNormalPulse(record.pulse) ? '' : ' ⚠️'}`
+                : '';
+            return `血压 ${record.systolic}/${record.diastolic}${pulse}`;
+        },
+
+        describeValue(record) {
+            const pulse = record.pulse ? `，心率${record.pulse}` : '';
+            return `${record.systolic}，${record.diastolic}${pulse}`;
+        },
+
+        describeLatest(record) {
+            const pulse = record.pulse ? `，心率${record.pulse}` : '';
+            return `最近血压，高压${record.systolic}，低压${record.diastolic}${pulse}，${formatTime(record.recordedAt)}`;
+        },
+
+        stats(records) {
+            const stats = {
+                count: records.length,
+                avgSystolic: null,
+                avgDiastolic: null,
+                minSystolic: null,
+                maxSystolic: null,
+                minDiastolic: null,
+                maxDiastolic: null
+            };
+            if (records.length > 0) {
+                const systolics = records.map(r => r.systolic);
+                const diastolics = records.map(r => r.diastolic);
+                stats.avgSystolic = Math.round(systolics.reduce((a, b) => a + b, 0) / systolics.length);
+                stats.avgDiastolic = Math.round(diastolics.reduce((a, b) => a + b, 0) / diastolics.length);
+                stats.minSystolic = Math.min(...systolics);
+                stats.maxSystolic = Math.max(...systolics);
+                stats.minDiastolic = Math.min(...diastolics);
+                stats.maxDiastolic = Math.max(...diastolics);
+            }
+
+            // 心率统计（只统计带心率的血压记录）
+            const pulses = records.map(r => r.pulse).filter(p => p);
+            stats.pulseCount = pulses.length;
+            stats.avgPulse = null;
+            stats.minPulse = null;
+            stats.maxPulse = null;
+            stats.abnormalPulse = 0;
+            if (pulses.length > 0) {
+                stats.avgPulse = Math.round(pulses.reduce((a, b) => a + b, 0) / pulses.length);
+                stats.minPulse = Math.min(...pulses);
+                stats.maxPulse = Math.max(...pulses);
+                stats.abnormalPulse = pulses.filter(p => !isNormalPulse(p)).length;
+            }
+
+            // 早晨、下午、晚上分别的平均值
+            stats.byDayPeriod = {};
+            Object.keys(BP_DAY_PERIODS).forEach(period => {
+                const subset = records.filter(r => getDayPeriod(r.recordedAt) === period);
+                if (subset.length > 0) {
+                    stats.byDayPeriod[period] = {
+                        count: subset.length,
+                        avgSystolic: Math.round(subset.reduce((sum, r) => sum + r.systolic, 0) / subset.length),
+                        avgDiastolic: Math.round(subset.reduce((sum, r) => sum + r.diastolic, 0) / subset.length)
+                    };
+                }
+            });
+            return stats;
+        },
+
+        summarize(stats) {
+            if (stats.count === 0) {
+                return '没有血压记录。';
+            }
+
+            let text = `血压共${stats.count}次，平均高压${stats.avgSystolic}，低压${stats.avgDiastolic}，` +
+                `收缩压${stats.minSystolic}到${stats.maxSystolic}，` +
+                `舒张压${stats.minDiastolic}到${stats.maxDiastolic}。`;
+
+            if (stats.pulseCount > 0) {
+                text += `心率平均${stats.avgPulse}，范围${stats.minPulse}到${stats.maxPulse}`;
+                text += stats.abnormalPulse > 0
+                    ? `，有${stats.abnormalPulse}次不在${PULSE_NORMAL_MIN}到${PULSE_NORMAL_MAX}之间。`
+                    : '。';
+            }
+
+            // 播报只提早晨血压，偏高时提醒
+            const morning = stats.byDayPeriod && stats.byDayPeriod.morning;
+            if (morning) {
+                const average = { systolic: morning.avgSystolic, diastolic: morning.avgDiastolic };
+                text += `早晨平均血压${morning.avgSystolic}/${morning.avgDiastolic}`;
+                if (this.classify(average) === 'normal') {
+                    text += '。';
+                } else {
+                    text += this.isBelowTarget(average) ? '，偏低。' : '，偏高，请留意晨起血压。';
+                }
+            }
+            return text;
+        },
+
+        details(stats) {
+            const lines = Object.entries(stats.byDayPeriod || {}).map(([period, p]) =>
+                `${BP_DAY_PERIODS[period].name}平均 ${p.avgSystolic}/${p.avgDiastolic} mmHg（${p.count}次）`
+            );
+            return lines.join('\n');
+        },
+
+        compare(stats, previous, previousName) {
+            if (stats.count === 0 || previous.count === 0) return '';
+            const systolic = describeChange(stats.avgSystolic - previous.avgSystolic, previousName, this.compareWords);
+            const diastolic = describeChange(stats.avgDiastolic - previous.avgDiastolic, previousName, this.compareWords);
+            return `平均高压${systolic}，低压${diastolic}。`;
+        }
+    }),
+
+    weight: defineMetric('weight', {
+        name: '体重',
+        unit: 'kg',
+        fields: [{ key: 'value', label: '体重', min: 2, max: 300, step: 0.1 }],
+        pattern: /体重[：:\s]*([0-9]+(?:\.[0-9]+)?)\s*(斤|公斤|千克|kg)?/i,
+        speechUnit: '公斤',
+        compareWords: ['重', '轻'],
+
+        // 支持 "体重 65.5", "体重 130 斤"（换算成公斤）
+        parse(text) {
+            const match = text.match(this.pattern);
+            if (!match) return null;
+
+            let value = parseFloat(match[1]);
+            if (match[2] === '斤') {
+                value = Math.round(value / 2 * 10) / 10;
+            }
+            const values = { value };
+            return isValidReading(this, values) ? values : null;
+        }
+    }),
+
+    temperature: defineMetric('temperature', {
+        name: '体温',
+        unit: '°C',
+        fields: [{ key: 'value', label: '体温', min: 34, max: 43, step: 0.1 }],
+        pattern: /体温[：:\s]*([0-9]{2}(?:\.[0-9]+)?)(?:度([0-9]))?/,
+        speechUnit: '度',
+
+        // 支持 "体温 36.5", "体温三十七度二"（口语里"度"后面是小数）
+        parse(text) {
+            const match = text.match(this.pattern);
+            if (!match) return null;
+
+            let value = parseFloat(match[1]);
+            if (match[2] && Number.isInteger(value)) {
+                value += parseInt(match[2]) / 10;
+            }
+            const values = { value };
+            return isValidReading(this, values) ? values : null;
+        }
+    }),
+
+    spo2: defineMetric('spo2', {
+        name: '血氧',
+        unit: '%',
+        fields: [{ key: 'value', label: '血氧', min: 70, max: 100, step: 1 }],
+        // 支持 "血氧 98", "血氧饱和度百分之九十七"
+        pattern: /血氧(?:饱和度)?[：:\s]*([0-9]{2,3})(?![\d.])/,
+        decimals: 0,
+
+        describeValue(record) {
+            return `百分之${record.value}`;
+        }
+    }),
+
+    steps: defineMetric('steps', {
+        name: '步数',
+        keywords: ['步数', '走了'],
+        unit: '步',
+        fields: [{ key: 'value', label: '步数', min: 1, max: 100000, step: 1 }],
+        // 支持 "步数 8000", "今天走了一万二千步"
+        pattern: /(?:步数|走了)[：:\s]*([0-9]+)/,
+        aggregate: 'sum',
+        decimals: 0,
+        speechUnit: '步',
+        compareWords: ['多', '少']
+    })
+};
+
+const METRIC_KEYS = Object.keys(METRICS);
+
+// 各指标共用的默认实现，供覆盖时调用
+const METRIC_DEFAULTS = defineMetric('', { name: '' });
+
+// 文本中提到的第一个指标
+function findMetricInText(text) {
+    return METRIC_KEYS.find(key => METRICS[key].keywords.some(word => text.includes(word))) || null;
+}
+
+// ============================================================
+// 用药
+// ============================================================
+
+// 用药记录单独一张表：{ drug, dose, unit, recordedAt, notes }，drug 存药名
+const MEDICATION_STORE = 'medications';
+
+// 备份和导入包含的全部表
+const BACKUP_STORES = [...METRIC_KEYS, MEDICATION_STORE];
+
+// 语音里的剂量单位统一写法
+const MEDICATION_UNITS = {
+    mg: '毫克',
+    ml: '毫升',
+    u: '单位',
+    iu: '单位'
+};
+
+const MEDICATION_DOSE_PATTERN = /^[\s：:]*([0-9]+(?:\.[0-9]+)?)\s*(单位|片|粒|毫克|毫升|支|袋|mg|ml|iu|u)?/i;
+
+// 药物设置 [{ name, dose, unit, timesPerDay }]，每个成员一份，启动时从设置表读取；
+// drugs 为当前成员的，语音里说了别的成员时按 drugsByProfile 识别这位成员的药
+let drugsByProfile = {};
+let drugs = [];
+
+async function loadDrugs() {
+    drugsByProfile = {};
+    for (const profile of profiles) {
+        drugsByProfile[profile.id] = (await getSetting(profileSettingKey('drugs', profile.id))) || [];
+    }
+    drugs = drugsByProfile[currentProfile] || [];
+}
+
+function storeLabel(storeName) {
+    return storeName === MEDICATION_STORE ? '用药' : METRICS[storeName].name;
+}
+
+/**
+ * 识别设置过的药物，例如 "吃了二甲双胍"、"打了胰岛素 8 单位"。
+ * text 已经过中文数字转换，药名也按同样方式转换后再比较（"二甲双胍" → "2甲双胍"）。
+ * 只认 profile 这位成员设置的药，没说剂量时用设置里的默认剂量。
+ */
+function parseMedications(text, profile = currentProfile) {
+    const result = [];
+    // 长的药名优先，避免 "胰岛素" 抢先匹配 "门冬胰岛素"
+    const sorted = [...(drugsByProfile[profile] || [])].sort((a, b) => b.name.length - a.name.length);
+
+    sorted.forEach(drug => {
+        const name = normalizeChineseNumbers(drug.name);
+        const index = text.indexOf(name);
+        if (!name || index < 0) return;
+
+        const match = text.slice(index + name.length).match(MEDICATION_DOSE_PATTERN);
+        let dose = drug.dose || null;
+        let unit = drug.unit || '';
+        if (match) {
+            dose = parseFloat(match[1]);
+            if (match[2]) {
+                unit = MEDICATION_UNITS[match[2].toLowerCase()] || match[2];
+            }
+        }
+        if (dose !== null && (dose <= 0 || dose > 10000)) return;
+
+        result.push({ drug: drug.name, dose, unit });
+        // 已匹配的部分不再参与较短药名的匹配
+        text = text.slice(0, index) + ' '.repeat((match ? match[0].length : 0) + name.length) +
+            text.slice(index + name.length + (match ? match[0].length : 0));
+    });
+    return result;
+}
+
+async function saveMedication(medication, notes = '', recordedAt = new Date()) {
+    const record = {
+        drug: medication.drug,
+        dose: medication.dose,
+        unit: medication.unit,
+        recordedAt: recordedAt.toISOString(),
+        notes: notes,
+        profile: currentProfile,
+        uuid: newUuid(),
+        updatedAt: new Date().toISOString()
+    };
+    const stored = await sealRecord(record);
+
+    const id = await new Promise((resolve, reject) => {
+        const tx = db.transaction([MEDICATION_STORE, SYNC_QUEUE_STORE], 'readwrite');
+        const request = tx.objectStore(MEDICATION_STORE).add(stored);
+        queueSyncChange(tx, MEDICATION_STORE, record);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    requestSync();
+    cancelReminderNotifications(MEDICATION_STORE, record).catch(error => console.error('Reminder cancel error:', error));
+    return { ...record, id };
+}
+
+// 播报和列表里的写法，例如 "二甲双胍500毫克"
+function describeMedication(record) {
+    return record.dose ? `${record.drug}${record.dose}${record.unit}` : record.drug;
+}
+
+/**
+ * 各药物的按时用药比例：实际记录次数 / (每天次数 × 天数)，最多 100%。
+ * 天数按时间段开始到现在（或时间段结束）计算，今天算一天。
+ */
+function medicationAdherence(records, range, now = new Date()) {
+    const end = range.end < now ? range.end : now;
+    const days = Math.max(1, Math.ceil((end - range.start) / 86400000));
+
+    return drugs
+        .filter(drug => drug.timesPerDay > 0)
+        .map(drug => {
+            const expected = drug.timesPerDay * days;
+            const taken = records.filter(r => r.drug === drug.name).length;
+            return { name: drug.name, taken, expected, percent: Math.min(100, Math.round(taken / expected * 100)) };
+        });
+}
+
+function describeAdherence(adherence) {
+    if (adherence.length === 0) return '';
+    const parts = adherence.map(a => `${a.name}${a.taken}/${a.expected}次，按时用药百分之${a.percent}`);
+    return `用药：${parts.join('；')}。`;
+}
+
+// ============================================================
+// 家庭成员
+// ============================================================
+
+// 一部手机记录全家人的数据：每条记录带 profile（家庭成员 id），读取时只看当前成员。
+// 成员列表 [{ id, name }] 存在设置表 profiles；id 用于 ?profile=，name 用于语音前缀 "爸爸血糖 6.4"
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILES = [{ id: DEFAULT_PROFILE_ID, name: '我' }];
+const PROFILE_ID_PATTERN = /^[a-z0-9_-]{1,20}$/i;
+
+let profiles = DEFAULT_PROFILES;
+let currentProfile = DEFAULT_PROFILE_ID;
+
+async function loadProfiles() {
+    profiles = (await getSetting('profiles')) || DEFAULT_PROFILES;
+    const saved = await getSetting('currentProfile');
+    currentProfile = profiles.some(p => p.id === saved) ? saved : DEFAULT_PROFILE_ID;
+}
+
+// 当前成员（或指定成员）、未删除的记录；读取记录的函数都用它过滤。没有 profile 的旧记录算默认成员
+function isVisibleRecord(record, profile = currentProfile) {
+    return !record.deletedAt && (record.profile || DEFAULT_PROFILE_ID) === profile;
+}
+
+function findProfile(idOrName) {
+    return profiles.find(p => p.id === idOrName || p.name === idOrName);
+}
+
+function profileName(id = currentProfile) {
+    const profile = findProfile(id);
+    return profile ? profile.name : '';
+}
+
+// 多个成员时报告和播报前加上称呼，只有一个成员时不加
+function profilePrefix() {
+    return profiles.length > 1 ? profileName() : '';
+}
+
+// 每个成员分别保存的设置（如就诊报告姓名、药物），默认成员沿用原来的键
+function profileSettingKey(key, profile = currentProfile) {
+    return profile === DEFAULT_PROFILE_ID ? key : `${key}:${profile}`;
+}
+
+// 称呼前面可以有的引导语："记一下妈妈血压"、"帮我记一下爸爸血糖"、"给妈妈记血压"、"查一下爸爸血压"。
+// 文本已经过中文数字转换，"一下"写作"1下"；"我"只有后面跟着"记""查"等才算引导语
+const PROFILE_LEAD_PATTERN = /^\s*(?:请|麻烦)?(?:帮我|帮忙|我(?=[记查给帮替]))?(?:记1下|记录1下|记录|记下|记|查1下|查查|查)?(?:给|帮|替)?\s*/;
+
+/**
+ * 识别语音开头的称呼，例如 "爸爸血糖 6.4"、"记一下妈妈血压 140 90"、"妈妈的血压 140 90"。
+ * 只认句首（引导语之后）的称呼，句中的"我"（"帮我记一下"）不算；只有一个成员时不识别。
+ * text 已经过中文数字转换，称呼也按同样方式转换后再比较。
+ * 返回 { profile, text }，text 去掉了称呼；没有说称呼时 profile 为 null。
+ */
+function parseProfile(text) {
+    if (profiles.length <= 1) {
+        return { profile: null, text };
+    }
+
+    const lead = text.match(PROFILE_LEAD_PATTERN)[0];
+    const rest = text.slice(lead.length);
+    const sorted = [...profiles].sort((a, b) => b.name.length - a.name.length);
+    for (const profile of sorted) {
+        const name = normalizeChineseNumbers(profile.name);
+        if (name && rest.startsWith(name)) {
+            return { profile: profile.id, text: lead + ' ' + rest.slice(name.length).replace(/^的/, '') };
+        }
+    }
+    return { profile: null, text };
+}
+
+async function switchProfile(id) {
+    if (!findProfile(id) || id === currentProfile) return;
+    currentProfile = id;
+    await saveSetting('currentProfile', id);
+    await loadDrugs();
+    renderProfileSelect();
+    loadHistory(currentTab);
+    document.getElementById('statusBar').textContent = `已切换到${profileName()}`;
+}
+
+// 页头的成员切换，只有一个成员时不显示
+function renderProfileSelect() {
+    const selectEl = document.getElementById('profileSelect');
+    selectEl.innerHTML = profiles.map(p =>
+        `<option value="${escapeHtml(p.id)}"${p.id === currentProfile ? ' selected' : ''}>${escapeHtml(p.name)}</option>`
+    ).join('');
+    selectEl.style.display = profiles.length > 1 ? '' : 'none';
+}
+
+// 成员是否还有未删除的记录，有记录的成员不能删除；找到一条就停止
+async function profileHasRecords(id) {
+    for (const storeName of BACKUP_STORES) {
+        const found = await new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve(false);
+                } else if (cursor.value.profile === id && !cursor.value.deletedAt) {
+                    resolve(true);
+                } else {
+                    cursor.continue();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+        if (found) return true;
+    }
+    return false;
+}
+
+// ============================================================
+// 加密
+// ============================================================
+
+// 加密备份和本地加密共用：PBKDF2（SHA-256）由密码派生密钥，AES-GCM 加密
+const PBKDF2_ITERATIONS = 310000;
+const ENCRYPTED_BACKUP_FORMAT = 'health-pwa-encrypted-backup';
+const MIN_PIN_LENGTH = 4;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // 分段转换，避免参数过多
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+    );
+}
+
+// 返回 { iv, data }（Base64），每次加密使用新的随机 iv
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// 密码不对或数据被改动时 AES-GCM 校验失败
+async function decryptBytes(key, sealed) {
+    try {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data)
+        );
+        return new Uint8Array(data);
+    } catch (error) {
+        throw new Error('密码不正确或数据已损坏');
+    }
+}
+
+function isEncryptedBackup(data) {
+    return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+// 加密备份文件：{ format, version, kdf: { salt, iterations, ... }, cipher: { iv, data, ... } }
+async function encryptBackup(bytes, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', ...(await encryptBytes(key, bytes)) }
+    };
+}
+
+// 解密后返回备份 JSON 对象
+async function decryptBackup(envelope, passphrase) {
+    if (!envelope.kdf || !envelope.cipher || !isValidNumber(envelope.kdf.iterations)) {
+        throw new Error('加密备份格式不正确');
+    }
+    const key = await deriveKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    let bytes = await decryptBytes(key, envelope.cipher);
+    // 扫码传输的数据先压缩再加密
+    if (envelope.compression === 'gzip') {
+        bytes = await gunzipBytes(bytes);
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/*
+ * 本地加密：开启后记录的读数、单位、场景和备注加密存放在 sealed 中，
+ * 只有 id、uuid、recordedAt、updatedAt、profile、deletedAt 保持明文，用于索引、成员筛选、软删除和同步。
+ * 数据密钥随机生成，用 PIN 派生的密钥包裹后存在设置表 encryption；
+ * 启动时输入 PIN 解开，只保存在内存中。忘记 PIN 无法解密，只能清除加密数据后从备份恢复。
+ */
+const PLAIN_RECORD_FIELDS = ['id', 'uuid', 'recordedAt', 'updatedAt', 'profile', 'deletedAt'];
+
+let dataKey = null;
+
+// key 为空时原样返回（未开启本地加密）
+async function sealRecord(record, key = dataKey) {
+    if (!key) return record;
+    const plain = {};
+    const secret = {};
+    Object.entries(record).forEach(([key, value]) => {
+        (PLAIN_RECORD_FIELDS.includes(key) ? plain : secret)[key] = value;
+    });
+    plain.sealed = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(secret)));
+    return plain;
+}
+
+// 明文记录原样返回，所以开启、关闭中途中断时两种记录都能读取
+async function openRecord(stored, key = dataKey) {
+    if (!stored || !stored.sealed) return stored;
+    const { sealed, ...plain } = stored;
+    const secret = JSON.parse(new TextDecoder().decode(await decryptBytes(key, sealed)));
+    return { ...secret, ...plain };
+}
+
+// 用 PIN 解开数据密钥，PIN 不对时抛出错误
+async function unlockDataKey(pin) {
+    const setting = await getSetting('encryption');
+    const kek = await deriveKey(pin, base64ToBytes(setting.salt), setting.iterations);
+    try {
+        dataKey = await crypto.subtle.unwrapKey(
+            'raw', base64ToBytes(setting.wrappedKey), kek,
+            { name: 'AES-GCM', iv: base64ToBytes(setting.iv) },
+            { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        );
+    } catch (error) {
+        throw new Error('PIN 不正确');
+    }
+}
+
+// 逐表读出全部记录（含其他成员和已删除的），用 fromKey 解密后用 toKey 重新加密写入
+async function rewriteAllRecords(fromKey, toKey) {
+    for (const storeName of BACKUP_STORES) {
+        const stored = await new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const records = await Promise.all(stored.map(async r => sealRecord(await openRecord(r, fromKey), toKey)));
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            records.forEach(r => store.put(r));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+// 开启本地加密：先保存包裹后的密钥，再加密已有记录（中途中断时明文、密文记录都能读取）
+async function enableEncryption(pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const kek = await deriveKey(pin, salt, PBKDF2_ITERATIONS);
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', key, kek, { name: 'AES-GCM', iv });
+
+    await saveSetting('encryption', {
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        iterations: PBKDF2_ITERATIONS,
+        wrappedKey: bytesToBase64(new Uint8Array(wrappedKey))
+    });
+    await unlockDataKey(pin);
+    await rewriteAllRecords(dataKey, dataKey);
+}
+
+// 关闭本地加密：先把记录全部解密写回，再删除密钥
+async function disableEncryption(pin) {
+    await unlockDataKey(pin);
+    await rewriteAllRecords(dataKey, null);
+    dataKey = null;
+    await saveSetting('encryption', null);
+}
+
+// 忘记 PIN：加密的记录无法解密，只能全部清除（设置保留），之后可从备份导入
+function clearEncryptedData() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([...BACKUP_STORES, 'settings'], 'readwrite');
+        BACKUP_STORES.forEach(key => tx.objectStore(key).clear());
+        tx.objectStore('settings').put({ key: 'encryption', value: null });
+        tx.oncomplete = () => {
+            dataKey = null;
+            resolve();
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============================================================
+// 应用锁
+// ============================================================
+
+/*
+ * 应用锁：设置在 appLock { pin: { salt, iterations, hash }, timeoutMinutes, credential }，
+ * credential 为指纹/面容（WebAuthn 平台认证器）的 { id, publicKey }。
+ * 锁定时不显示历史记录，只能通过 ?action=record 或锁屏上的按钮记录新读数（只写模式）。
+ * 这是界面上的锁；需要防止直接读取浏览器数据时，请同时开启本地加密。
+ */
+const LOCK_TIMEOUT_OPTIONS = [1, 5, 15, 30];
+const DEFAULT_LOCK_TIMEOUT = 5;
+
+// 连续输错 LOCK_MAX_ATTEMPTS 次后需要等待，之后每错一次等待时间加倍，最长 1 小时
+const LOCK_MAX_ATTEMPTS = 5;
+const LOCK_DELAY_SECONDS = 30;
+const LOCK_MAX_DELAY_SECONDS = 3600;
+
+let appLock = null;
+let appLocked = false;
+let lastActiveAt = Date.now();
+
+// 锁定时打开的报告类快捷指令，解锁后再执行
+let afterUnlock = null;
+
+async function loadAppLock() {
+    appLock = (await getSetting('appLock')) || null;
+}
+
+async function hashPin(pin, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256
+    );
+    return bytesToBase64(new Uint8Array(bits));
+}
+
+async function createPinHash(pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        salt: bytesToBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        hash: await hashPin(pin, salt, PBKDF2_ITERATIONS)
+    };
+}
+
+async function checkPin(pin) {
+    const { salt, iterations, hash } = appLock.pin;
+    return (await hashPin(pin, base64ToBytes(salt), iterations)) === hash;
+}
+
+// 输错次数存在设置表里，刷新页面不会清零。返回还需等待的秒数，0 表示可以输入
+async function lockDelaySeconds() {
+    const attempts = (await getSetting('lockAttempts')) || { failures: 0, lockedUntil: 0 };
+    return Math.max(0, Math.ceil((attempts.lockedUntil - Date.now()) / 1000));
+}
+
+async function recordFailedAttempt() {
+    const attempts = (await getSetting('lockAttempts')) || { failures: 0, lockedUntil: 0 };
+    attempts.failures++;
+    if (attempts.failures >= LOCK_MAX_ATTEMPTS) {
+        const seconds = Math.min(LOCK_MAX_DELAY_SECONDS,
+            LOCK_DELAY_SECONDS * 2 ** (attempts.failures - LOCK_MAX_ATTEMPTS));
+        attempts.lockedUntil = Date.now() + seconds * 1000;
+    }
+    await saveSetting('lockAttempts', attempts);
+    return attempts;
+}
+
+function lockApp() {
+    appLocked = true;
+    // 锁定前的操作不能在锁定后撤销，否则不知道 PIN 也能恢复删除或修改前的记录
+    lastAction = null;
+    stopTransfer();
+    if (document.body.classList.contains('print-mode')) {
+        closeVisitReport();
+    }
+    document.getElementById('historyList').innerHTML = '';
+    document.getElementById('result').textContent = '已锁定';
+    document.getElementById('lockPin').value = '';
+    document.getElementById('lockError').textContent = '';
+    document.getElementById('lockBiometricBtn').style.display = appLock.credential ? '' : 'none';
+    document.getElementById('lockScreen').style.display = 'flex';
+}
+
+async function unlockApp() {
+    appLocked = false;
+    lastActiveAt = Date.now();
+    await saveSetting('lockAttempts', { failures: 0, lockedUntil: 0 });
+    document.getElementById('lockScreen').style.display = 'none';
+    document.getElementById('result').textContent = '等待语音输入...';
+    loadHistory(currentTab);
+    if (afterUnlock) {
+        const action = afterUnlock;
+        afterUnlock = null;
+        action();
+    }
+}
+
+// 超过设定时间没有操作（包括切到后台的时间）就锁定
+function checkAutoLock() {
+    if (appLock && !appLocked && Date.now() - lastActiveAt >= appLock.timeoutMinutes * 60000) {
+        lockApp();
+    }
+}
+
+async function submitLockPin() {
+    const errorEl = document.getElementById('lockError');
+    const pinEl = document.getElementById('lockPin');
+
+    const delay = await lockDelaySeconds();
+    if (delay > 0) {
+        errorEl.textContent = `输错次数过多，请 ${delay} 秒后再试`;
+        return;
+    }
+
+    if (await checkPin(pinEl.value)) {
+        await unlockApp();
+        return;
+    }
+
+    pinEl.value = '';
+    const attempts = await recordFailedAttempt();
+    errorEl.textContent = attempts.lockedUntil > Date.now()
+        ? `PIN 不正确，请 ${await lockDelaySeconds()} 秒后再试`
+        : `PIN 不正确，还可以试 ${LOCK_MAX_ATTEMPTS - attempts.failures} 次`;
+}
+
+// ---------- 指纹 / 面容（WebAuthn） ----------
+
+async function isBiometricAvailable() {
+    return !!window.PublicKeyCredential &&
+        await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+}
+
+function toBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 在本机注册一个平台认证器凭据，只用 ES256，公钥用于解锁时校验签名
+async function registerBiometric() {
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            challenge: crypto.getRandomValues(new Uint8Array(32)),
+            rp: { name: '健康记录' },
+            user: {
+                id: crypto.getRandomValues(new Uint8Array(16)),
+                name: 'health-pwa',
+                displayName: '健康记录'
+            },
+            pubKeyCredParams: [{ type: 'public-key', alg: -7 }],
+            authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required' },
+            timeout: 60000
+        }
+    });
+    const publicKey = credential.response.getPublicKey ? credential.response.getPublicKey() : null;
+    return {
+        id: bytesToBase64(new Uint8Array(credential.rawId)),
+        publicKey: publicKey ? bytesToBase64(new Uint8Array(publicKey)) : null
+    };
+}
+
+// ECDSA 签名从 DER 转为 WebCrypto 需要的 r||s（各 32 字节）
+function derSignatureToRaw(der) {
+    const raw = new Uint8Array(64);
+    let offset = 2;
+    [0, 32].forEach(target => {
+        const length = der[offset + 1];
+        let value = der.subarray(offset + 2, offset + 2 + length);
+        while (value.length > 32 && value[0] === 0) {
+            value = value.subarray(1);
+        }
+        raw.set(value, target + 32 - value.length);
+        offset += 2 + length;
+    });
+    return raw;
+}
+
+// 校验断言：类型、挑战值、来源、用户验证标志，有公钥时再校验签名
+async function verifyAssertion(credential, assertion, challenge) {
+    const response = assertion.response;
+    const clientData = JSON.parse(new TextDecoder().decode(response.clientDataJSON));
+    const authData = new Uint8Array(response.authenticatorData);
+
+    if (clientData.type !== 'webauthn.get' || clientData.challenge !== toBase64Url(challenge) ||
+        clientData.origin !== location.origin || !(authData[32] & 0x04)) {
+        return false;
+    }
+    if (!credential.publicKey) return true;
+
+    const key = await crypto.subtle.importKey(
+        'spki', base64ToBytes(credential.publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+    );
+    const clientHash = new Uint8Array(await crypto.subtle.digest('SHA-256', response.clientDataJSON));
+    const signed = new Uint8Array(authData.length + clientHash.length);
+    signed.set(authData);
+    signed.set(clientHash, authData.length);
+    return crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' }, key,
+        derSignatureToRaw(new Uint8Array(response.signature)), signed
+    );
+}
+
+async function unlockWithBiometric() {
+    const errorEl = document.getElementById('lockError');
+    const challenge = crypto.getRandomValues(new Uint8Array(32));
+    try {
+        const assertion = await navigator.credentials.get({
+            publicKey: {
+                challenge,
+                allowCredentials: [{ type: 'public-key', id: base64ToBytes(appLock.credential.id) }],
+                userVerification: 'required',
+                timeout: 60000
+            }
+        });
+        if (await verifyAssertion(appLock.credential, assertion, challenge)) {
+            await unlockApp();
+        } else {
+            errorEl.textContent = '验证失败，请输入 PIN';
+        }
+    } catch (error) {
+        // 用户取消或系统验证失败
+        console.log('Biometric unlock failed:', error);
+        errorEl.textContent = '没有完成验证，请重试或输入 PIN';
+    }
+}
+
+// ============================================================
+// 多设备同步
+// ============================================================
+
+/*
+ * 同步设置在 sync { url, username, password }，同步逻辑在 sync.js（Service Worker 共用）。
+ * 每次新增、修改、删除记录都在同一事务中加入待同步队列 syncQueue，
+ * 有网络时立即同步；离线时由 Service Worker 的后台同步（Background Sync）在恢复网络后上传，
+ * 不支持后台同步的浏览器在重新打开应用或恢复网络时上传。
+ * 本地加密开启时不能同步（同步文件是明文）。
+ */
+let syncConfig = null;
+let deviceId = null;
+let syncRunning = null;
+let syncTimer = null;
+
+async function loadSync() {
+    syncConfig = (await getSetting('sync')) || null;
+    deviceId = await getSetting('deviceId');
+    if (!deviceId) {
+        deviceId = newUuid();
+        await saveSetting('deviceId', deviceId);
+    }
+}
+
+// 在写记录的事务中调用，保证记录和队列同时写入；未开启同步时不记队列
+function queueSyncChange(tx, storeName, record) {
+    if (!syncConfig || !record.uuid) return;
+    tx.objectStore(SYNC_QUEUE_STORE).put({
+        key: syncKey(storeName, record.uuid),
+        storeName,
+        uuid: record.uuid,
+        queuedAt: new Date().toISOString()
+    });
+}
+
+// 连续记录时合并成一次同步
+function requestSync() {
+    if (!syncConfig) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(async () => {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.sync.register('health-sync');
+                return;
+            } catch (error) {
+                console.log('Background sync unavailable:', error);
+            }
+        }
+        if (navigator.onLine) {
+            syncNow().catch(() => {});
+        }
+    }, 2000);
+}
+
+// 同步一次，结果保存在 syncState { lastSyncAt, lastError }；同时只运行一个
+function syncNow() {
+    if (!syncConfig) return Promise.resolve(null);
+    if (!syncRunning) {
+        syncRunning = (async () => {
+            try {
+                const result = await runSync(db, syncConfig, deviceId);
+                await saveSetting('syncState', { lastSyncAt: new Date().toISOString(), lastError: null });
+                if (result.pulled > 0) {
+                    loadHistory(currentTab);
+                }
+                return result;
+            } catch (error) {
+                console.error('Sync error:', error);
+                const state = (await getSetting('syncState')) || {};
+                await saveSetting('syncState', { ...state, lastError: error.message });
+                throw error;
+            } finally {
+                syncRunning = null;
+            }
+        })();
+    }
+    return syncRunning;
+}
+
+// 开启同步时把已有记录全部加入队列（上传本机已有的数据）
+function enqueueAllRecords() {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([...BACKUP_STORES, SYNC_QUEUE_STORE], 'readwrite');
+        BACKUP_STORES.forEach(storeName => {
+            tx.objectStore(storeName).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                queueSyncChange(tx, storeName, cursor.value);
+                cursor.continue();
+            };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============================================================
+// 语音识别
+// ============================================================
+
+let recognition = null;
+let isListening = false;
+
+function initSpeechRecognition() {
+    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+        document.getElementById('statusBar').textContent = '您的浏览器不支持语音识别，请使用手动录入';
+        document.getElementById('micBtn').style.opacity = '0.5';
+        document.getElementById('manualBtn').classList.add('primary');
+        return false;
+    }
+
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    recognition = new SpeechRecognition();
+    recognition.lang = 'zh-CN';
+    recognition.continuous = false;
+    recognition.interimResults = true;
+
+    recognition.onstart = () => {
+        isListening = true;
+        document.getElementById('micBtn').classList.add('listening');
+        document.getElementById('statusBar').textContent = '正在聆听...';
+    };
+
+    recognition.onresult = (event) => {
+        const transcript = event.results[event.results.length - 1][0].transcript;
+        document.getElementById('result').textContent = transcript;
+
+        if (event.results[event.results.length - 1].isFinal) {
+            processVoiceInput(transcript);
+        }
+    };
+
+    recognition.onerror = (event) => {
+        console.error('Speech error:', event.error);
+        let errorMsg = '识别出错';
+        if (event.error === 'not-allowed') {
+            errorMsg = '请允许麦克风权限，或使用手动录入';
+            document.getElementById('manualBtn').classList.add('primary');
+        } else if (event.error === 'no-speech') {
+            errorMsg = '没有检测到语音';
+        }
+        document.getElementById('statusBar').textContent = errorMsg;
+        stopListening();
+    };
+
+    recognition.onend = () => {
+        stopListening();
+    };
+
+    return true;
+}
+
+function toggleListening() {
+    // 用户点击时启用语音播报
+    enableSpeech();
+
+    if (isListening) {
+        recognition.stop();
+    } else {
+        if (!recognition && !initSpeechRecognition()) {
+            return;
+        }
+        try {
+            recognition.start();
+        } catch (e) {
+            console.error('Start error:', e);
+        }
+    }
+}
+
+function stopListening() {
+    isListening = false;
+    document.getElementById('micBtn').classList.remove('listening');
+    document.getElementById('statusBar').textContent = '点击麦克风开始语音记录';
+}
+
+// ============================================================
+// 中文数字转换
+// ============================================================
+
+const CN_DIGITS = {
+    '零': 0, '〇': 0, '幺': 1, '一': 1, '二': 2, '两': 2, '三': 3, '四': 4,
+    '五': 5, '六': 6, '七': 7, '八': 8, '九': 9
+};
+const CN_UNITS = { '十': 10, '百': 100, '千': 1000, '万': 10000 };
+
+// 整数部分：一百三十 / 一百三 / 一百零五 / 1百30 / 一三零 / 一万二千
+function parseCnInteger(chars) {
+    let wan = 0;
+    let total = 0;
+    let num = 0;
+    let digitCount = 0;
+    let zeroSeen = false;
+    let lastUnit = null;
+
+    for (const ch of chars) {
+        if (ch === '万') {
+            // "万"作用于前面整段：十二万 = 12 × 10000
+            wan += ((total + num) || 1) * 10000;
+            total = 0;
+            lastUnit = 10000;
+            num = 0;
+            digitCount = 0;
+            zeroSeen = false;
+        } else if (ch in CN_UNITS) {
+            total += (digitCount > 0 ? num : 1) * CN_UNITS[ch];
+            lastUnit = CN_UNITS[ch];
+            num = 0;
+            digitCount = 0;
+            zeroSeen = false;
+        } else {
+            const digit = ch in CN_DIGITS ? CN_DIGITS[ch] : Number(ch);
+            if (digit === 0 && lastUnit) {
+                zeroSeen = true;
+            }
+            num = num * 10 + digit;
+            digitCount++;
+        }
+    }
+
+    // 口语省略末位单位：一百三 = 130，两千五 = 2500，一万二 = 12000
+    if (lastUnit && lastUnit > 10 && digitCount === 1 && !zeroSeen) {
+        num *= lastUnit / 10;
+    }
+    return wan + total + num;
+}
+
+// 把识别结果里的中文数字转成阿拉伯数字，例如 "血糖六点四" → "血糖6.4"
+// 小数点只在"点"后面紧跟数字、且不是"八点三十""八点一刻""八点五分"这类时间时才转换；
+// 识别结果本来就是阿拉伯数字的 "6点4" 要看前文（见 isSpokenClock）。"千克""千卡"里的"千"是单位，不是数字
+// "百分之九十八"先改写成"九十八%"，避免"百"被当成数字
+function normalizeChineseNumbers(text) {
+    text = text.replace(/百分之([零〇幺一二两三四五六七八九十百0-9]+)/g, '$1%');
+
+    return text.replace(
+        /((?:[零〇幺一二两三四五六七八九十百万0-9]|千(?![克卡]))+)(?:点([零〇幺一二三四五六七八九0-9]+)(?![零〇幺一二三四五六七八九十百万刻分0-9]|千(?![克卡])))?/g,
+        (match, intPart, decimalPart, offset, whole) => {
+            if (/^[0-9]+$/.test(intPart) && (decimalPart === undefined || /^[0-9]+$/.test(decimalPart))) {
+                if (decimalPart === undefined || isSpokenClock(whole.slice(0, offset))) {
+                    return match;
+                }
+                return `${intPart}.${decimalPart}`;
+            }
+            let result = String(parseCnInteger(intPart));
+            if (decimalPart !== undefined) {
+                result += '.' + decimalPart.split('').map(ch => ch in CN_DIGITS ? CN_DIGITS[ch] : ch).join('');
+            }
+            return result;
+        }
+    );
+}
+
+// 阿拉伯数字的 "N点M"：前面最近说的是指标（"血糖6点4"、"早上血糖6点4"）时是小数，
+// 前面没有指标（"8点30血糖6.4"）或指标之后又说了时段（"血糖6.4 晚上8点30"）时是时间
+function isSpokenClock(before) {
+    const lastIndex = words => Math.max(-1, ...words.map(word => before.lastIndexOf(word)));
+    const metricAt = lastIndex(METRIC_KEYS.flatMap(key => METRICS[key].keywords));
+    const dayAt = lastIndex([...Object.keys(DAY_OFFSETS), ...DAY_PERIODS.flatMap(p => p.words)]);
+    return metricAt < 0 || dayAt > metricAt;
+}
+
+// ============================================================
+// 测量时间解析
+// ============================================================
+
+const DAY_OFFSETS = {
+    '今天': 0, '今日': 0, '今早': 0, '今晚': 0,
+    '昨天': 1, '昨日': 1, '昨晚': 1,
+    '前天': 2
+};
+
+// 时段：没说几点时用 hour；当前时间落在 [from, to) 内视为"刚测的"
+// pm 表示"晚上8点"这类说法要加 12 小时
+const DAY_PERIODS = [
+    { words: ['凌晨'], hour: 3, from: 0, to: 5 },
+    { words: ['早上', '早晨', '清晨', '今早'], hour: 7, from: 5, to: 9 },
+    { words: ['上午'], hour: 10, from: 8, to: 12 },
+    { words: ['中午'], hour: 12, from: 11, to: 14, pm: true },
+    { words: ['下午'], hour: 15, from: 13, to: 18, pm: true },
+    { words: ['傍晚'], hour: 18, from: 17, to: 19, pm: true },
+    { words: ['晚上', '今晚', '昨晚'], hour: 20, from: 18, to: 24, pm: true },
+    { words: ['睡前'], hour: 22, from: 21, to: 24, pm: true }
+];
+
+// "8点" "8点半" "8点30" "8点30分" "8点1刻" "8:30"
+// 前后不能紧挨着数字，避免把 "血压 120:50" 里的 "20:50" 当成时间
+const CLOCK_PATTERN = /(^|[^\d.])(\d{1,2})[点:：](半|[13]刻|\d{1,2}分?)?(?!\d)/;
+
+// 从语音中解析测量时间：今天 / 昨天 / 前天、早上 / 中午 / 晚上 / 睡前、八点半
+// 返回 { date, text }：date 为解析出的时间（没说时间为 null），text 为去掉钟点后的文字
+function parseRecordedTime(text, now = new Date()) {
+    const dayMatch = text.match(/(今天|今日|今早|今晚|昨天|昨日|昨晚|前天)/);
+    const period = DAY_PERIODS.find(p => p.words.some(word => text.includes(word)));
+    const clockMatch = text.match(CLOCK_PATTERN);
+
+    if (!dayMatch && !period && !clockMatch) {
+        return { date: null, text };
+    }
+
+    const date = new Date(now);
+    date.setSeconds(0, 0);
+    if (dayMatch) {
+        date.setDate(date.getDate() - DAY_OFFSETS[dayMatch[1]]);
+    }
+
+    if (clockMatch) {
+        let hour = parseInt(clockMatch[2]);
+        const minuteText = clockMatch[3] || '';
+        let minute = 0;
+        if (minuteText === '半') {
+            minute = 30;
+        } else if (/刻$/.test(minuteText)) {
+            minute = parseInt(minuteText) * 15;
+        } else if (minuteText) {
+            minute = parseInt(minuteText);
+        }
+        if (hour > 23 || minute > 59) {
+            return { date: null, text };
+        }
+
+        if (period && period.pm && hour < 12) {
+            hour += 12;
+        }
+        date.setHours(hour, minute);
+
+        // 没说上午下午时取最近一次已经过去的钟点：晚上九点说"八点"是 20 点
+        if (!period && hour < 12) {
+            const evening = new Date(date);
+            evening.setHours(hour + 12);
+            if (evening <= now) {
+                date.setHours(hour + 12);
+            }
+        }
+    } else if (period) {
+        const hour = now.getHours();
+        if (!dayMatch && hour >= period.from && hour < period.to) {
+            // 说的就是当前时段，按现在的时间记录
+            return { date: null, text };
+        }
+        date.setHours(period.hour, 0);
+    }
+
+    // 不能记到将来：没说哪天就往前推一天，说了哪天则按现在记录
+    if (date > now) {
+        if (dayMatch) {
+            return { date: null, text };
+        }
+        date.setDate(date.getDate() - 1);
+    }
+
+    // 只说"今天"等于没说
+    if (Math.abs(now - date) < 60000) {
+        return { date: null, text };
+    }
+
+    return {
+        date,
+        text: clockMatch ? text.replace(clockMatch[0], clockMatch[1] + ' ') : text
+    };
+}
+
+// 播报用的时间："昨天晚上8点半"
+function formatSpokenTime(date, now = new Date()) {
+    const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    const dayDiff = Math.round((startOfDay(now) - startOfDay(date)) / 86400000);
+    const dayWord = ['今天', '昨天', '前天'][dayDiff] || `${date.getMonth() + 1}月${date.getDate()}日`;
+
+    const hour = date.getHours();
+    const minute = date.getMinutes();
+    let periodWord = '晚上';
+    if (hour < 5) periodWord = '凌晨';
+    else if (hour < 9) periodWord = '早上';
+    else if (hour < 12) periodWord = '上午';
+    else if (hour < 13) periodWord = '中午';
+    else if (hour < 18) periodWord = '下午';
+
+    const clockHour = hour > 12 ? hour - 12 : hour;
+    const minuteWord = minute === 0 ? '' : (minute === 30 ? '半' : `${minute}分`);
+    return `${dayWord}${periodWord}${clockHour}点${minuteWord}`;
+}
+
+// ============================================================
+// 语音解析和处理
+// ============================================================
+
+// 修正命令：撤销 / 删除上一条 / 改成 6.8
+// 命中时返回 { command, metric, values }，metric 为 null 表示未指明指标
+function parseCommand(text) {
+    const trimmed = text.trim();
+    const metric = findMetricInText(trimmed);
+
+    // 撤销：撤销 / 撤回 / 取消刚才
+    if (/^(撤销|撤回|取消)/.test(trimmed)) {
+        return { command: 'undo' };
+    }
+
+    // 删除：删除上一条 / 删掉刚才的血压 / 把上一条删掉
+    // 和撤销一样只认句首，或说了"上一条""刚才"；"血压 130 85 别删除"仍按记录处理
+    if (/^(删除|删掉)|(上1条|刚才|最后1条).*(删除|删掉)/.test(trimmed)) {
+        return { command: 'delete', metric };
+    }
+
+    // 修改：改成 6.8 / 血压改成 130 85 / 体重改成 65
+    // 没说指标时，两个数按血压、一个数按血糖处理
+    const amendMatch = trimmed.match(/(改成|改为|应该是)[：:\s]*([0-9]+(?:\.[0-9]+)?)(?:[^\d]{1,3}([0-9]{2,3}))?/);
+    if (amendMatch) {
+        const numbers = [amendMatch[2], amendMatch[3]].filter(n => n !== undefined).map(parseFloat);
+        const target = METRICS[metric || (numbers.length > 1 ? 'pressure' : 'glucose')];
+
+        const values = {};
+        target.fields.forEach((field, i) => {
+            if (i < numbers.length) {
+                values[field.key] = numbers[i];
+            }
+        });
+        const complete = target.fields.every(field => field.optional || values[field.key] !== undefined);
+        if (!complete || !isValidReading(target, values)) {
+            return {};
+        }
+        return {
+            command: 'amend',
+            metric: target.key,
+            values: Object.assign(values, target.parseOptions(trimmed))
+        };
+    }
+
+    return null;
+}
+
+// 查询说法中的时间段，按顺序匹配（"最近一次"先于其他，"上个月"先于"这个月"）；
+// 文本已经过中文数字转换，"一次"写作"1次"。period 为 REPORT_PERIODS 的键，latest 表示最近一条
+const QUERY_PERIODS = [
+    { period: 'latest', pattern: /最近1次|上1次|最后1次|最新/ },
+    { period: 'today', pattern: /今天|今日/ },
+    { period: 'yesterday', pattern: /昨天|昨日/ },
+    { period: '3day', pattern: /(最近|这)3天/ },
+    { period: 'weekly', pattern: /(最近|这)(1周|7天)/ },
+    { period: 'lastWeek', pattern: /上周|上个?(星期|礼拜)/ },
+    { period: 'thisWeek', pattern: /这周|本周|这个?(星期|礼拜)/ },
+    { period: 'lastMonth', pattern: /上个?月/ },
+    { period: 'monthly', pattern: /这个?月|本月|(最近|这)1个月/ }
+];
+
+const QUERY_WORDS = /多少|怎么样|怎样|如何|咋样|平均|最高|最低|查询|查1下|查查|查看|报告|汇报|汇总|情况|数据/;
+
+// 查询：今天血糖多少 / 这周血压怎么样 / 最近一次血压 / 这个月平均血糖
+// 命中时返回 { command: 'query', metric, period }，metric 为 null 表示全部指标，没说时间段按最近一条。
+// 没有问话词时，说了时间段和指标（"最近三天体重"）也算查询；带读数的仍按记录处理
+function parseQuery(text) {
+    const found = QUERY_PERIODS.find(item => item.pattern.test(text));
+    const metric = findMetricInText(text);
+    if (!metric && !found) {
+        return null;
+    }
+    if (!QUERY_WORDS.test(text) && !(found && (metric || found.period === 'latest'))) {
+        return null;
+    }
+    if (METRIC_KEYS.some(key => METRICS[key].parse(text))) {
+        return null;
+    }
+    return { command: 'query', metric, period: found ? found.period : 'latest' };
+}
+
+// 解析结果：命令 { command, ... }，或按指标分组的读数 { glucose: {...}, pressure: {...} }
+// 说了测量时间（"昨天晚上血糖 7.2"）时另带 recordedAt，说了称呼（"爸爸血糖 6.4"）时另带 profile
+function parseHealthText(text) {
+    text = normalizeChineseNumbers(text);
+
+    const command = parseCommand(text);
+    if (command) {
+        return command;
+    }
+
+    const spoken = parseProfile(text);
+    const query = parseQuery(spoken.text);
+    if (query) {
+        if (spoken.profile) {
+            query.profile = spoken.profile;
+        }
+        return query;
+    }
+
+    const time = parseRecordedTime(spoken.text);
+    const result = {};
+    METRIC_KEYS.forEach(key => {
+        const values = METRICS[key].parse(time.text);
+        if (values) {
+            result[key] = values;
+        }
+    });
+
+    const medications = parseMedications(time.text, spoken.profile || currentProfile);
+    if (medications.length > 0) {
+        result.medications = medications;
+    }
+
+    if (Object.keys(result).length > 0) {
+        if (time.date) {
+            result.recordedAt = time.date.toISOString();
+        }
+        if (spoken.profile) {
+            result.profile = spoken.profile;
+        }
+    }
+    return result;
+}
+
+// 保存解析出的读数，返回播报文字和简短摘要
+async function saveParsedReadings(parsed, text) {
+    const savedParts = [];
+    const warnings = [];
+    const items = [];
+    const recordedAt = parsed.recordedAt ? new Date(parsed.recordedAt) : new Date();
+
+    // 说了别的成员时先切换过去，之后的修正和查询都针对这个成员
+    if (parsed.profile) {
+        await switchProfile(parsed.profile);
+    }
+
+    for (const key of METRIC_KEYS) {
+        if (!parsed[key]) continue;
+        const record = await saveReading(key, parsed[key], text, recordedAt);
+        items.push({ storeName: key, id: record.id });
+        savedParts.push(METRICS[key].describe(record));
+        warnings.push(levelWarning(METRICS[key], record));
+    }
+
+    for (const medication of parsed.medications || []) {
+        const record = await saveMedication(medication, text, recordedAt);
+        items.push({ storeName: MEDICATION_STORE, id: record.id });
+        savedParts.push(describeMedication(record));
+    }
+
+    lastAction = { type: 'save', items };
+
+    // 补记时读出测量时间；超出目标范围时追加提醒
+    const timePrefix = parsed.recordedAt ? `${formatSpokenTime(recordedAt)}的` : '';
+    const profileText = parsed.profile ? profilePrefix() : '';
+    return {
+        speech: '好的，已记录' + profileText + timePrefix + savedParts.join('，') + '。' + warnings.join(''),
+        summary: timePrefix + savedParts.join('，')
+    };
+}
+
+// 语音输入统一入口：查询、修正命令或新读数
+async function handleParsedInput(parsed, text) {
+    if (parsed.command === 'query') {
+        return answerQuery(parsed);
+    }
+    if (parsed.command) {
+        const speech = await executeCommand(parsed);
+        return { speech, summary: speech };
+    }
+    return saveParsedReadings(parsed, text);
+}
+
+async function processVoiceInput(text) {
+    const parsed = parseHealthText(text);
+
+    if (Object.keys(parsed).length === 0) {
+        const speech = '没有听清楚，请说例如：血糖6.4，血压130 85，或者问：这周血压怎么样';
+        document.getElementById('result').textContent = speech;
+        document.getElementById('statusBar').textContent = '请重试';
+        speak(speech);
+        return;
+    }
+
+    return submitParsedInput(parsed, text);
+}
+
+// 保存并播报确认，语音和手动录入共用
+async function submitParsedInput(parsed, text) {
+    try {
+        // 查询全部指标时屏幕上显示带详细指标的报告
+        const { speech, screen } = await handleParsedInput(parsed, text);
+        document.getElementById('result').textContent = screen || speech;
+        document.getElementById('statusBar').textContent = parsed.command ? '已处理' : '记录成功';
+        speak(speech);
+
+        // 刷新历史列表
+        loadHistory(currentTab);
+        return true;
+
+    } catch (error) {
+        console.error('Save error:', error);
+        document.getElementById('statusBar').textContent = '保存失败';
+        return false;
+    }
+}
+
+// ============================================================
+// 手动录入（语音识别不可用时）
+// ============================================================
+
+function showManualEntry(metricKey = 'glucose') {
+    // 手动录入同样播报确认，iOS 需要在点击时启用语音
+    enableSpeech();
+
+    showModal(`
+        <h3>手动录入</h3>
+        <label class="form-field">项目
+            <select id="manualMetric" onchange="renderManualFields(this.value)">
+                ${BACKUP_STORES.map(key =>
+                    `<option value="${key}"${key === metricKey ? ' selected' : ''}>${storeLabel(key)}</option>`
+                ).join('')}
+            </select>
+        </label>
+        <div id="manualFields">${renderManualFieldsHtml(metricKey)}</div>
+        <label class="form-field">测量时间
+            <input type="datetime-local" id="manualTime" value="${toLocalInputValue(new Date().toISOString())}">
+        </label>
+        <label class="form-field">备注
+            <textarea id="manualNotes" rows="2"></textarea>
+        </label>
+        <p class="form-error" id="manualError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="saveManualEntry()">保存</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+function renderManualFieldsHtml(metricKey) {
+    return metricKey === MEDICATION_STORE ? renderMedicationFields() : renderMetricFields(METRICS[metricKey]);
+}
+
+function renderManualFields(metricKey) {
+    document.getElementById('manualFields').innerHTML = renderManualFieldsHtml(metricKey);
+}
+
+// 用药录入：从设置的药物中选择，剂量默认为设置的剂量
+function renderMedicationFields() {
+    if (drugs.length === 0) {
+        return '<p>还没有设置药物，请先点击右上角 ⚙️ 添加</p>';
+    }
+    return `
+        <label class="form-field">药物
+            <select id="field_drug" onchange="fillDrugDose(this.value)">
+                ${drugs.map((drug, i) => `<option value="${i}">${escapeHtml(drug.name)}</option>`).join('')}
+            </select>
+        </label>
+        <label class="form-field">剂量<span id="field_doseUnit">${drugs[0].unit ? `（${escapeHtml(drugs[0].unit)}）` : ''}</span>
+            <input type="number" id="field_dose" step="any" inputmode="decimal" value="${drugs[0].dose || ''}">
+        </label>
+    `;
+}
+
+function fillDrugDose(index) {
+    const drug = drugs[index];
+    document.getElementById('field_dose').value = drug.dose || '';
+    document.getElementById('field_doseUnit').textContent = drug.unit ? `（${drug.unit}）` : '';
+}
+
+function readMedicationFields() {
+    const select = document.getElementById('field_drug');
+    if (!select) {
+        return { error: '请先设置药物' };
+    }
+    const drug = drugs[select.value];
+    const doseText = document.getElementById('field_dose').value;
+    const dose = doseText === '' ? null : parseFloat(doseText);
+    if (dose !== null && (isNaN(dose) || dose <= 0 || dose > 10000)) {
+        return { error: '剂量不正确' };
+    }
+    return { medication: { drug: drug.name, dose, unit: drug.unit || '' } };
+}
+
+async function saveManualEntry() {
+    const errorEl = document.getElementById('manualError');
+    const metricKey = document.getElementById('manualMetric').value;
+
+    const { values, medication, error } = metricKey === MEDICATION_STORE
+        ? readMedicationFields()
+        : readMetricFields(METRICS[metricKey]);
+    if (error) {
+        errorEl.textContent = error;
+        return;
+    }
+
+    const time = document.getElementById('manualTime').value;
+    if (!time || isNaN(Date.parse(time))) {
+        errorEl.textContent = '请填写测量时间';
+        return;
+    }
+    const recordedAt = new Date(time);
+    if (recordedAt > new Date()) {
+        errorEl.textContent = '测量时间不能晚于现在';
+        return;
+    }
+
+    // 与语音解析结果同样的结构；时间改过才算补记
+    const parsed = medication ? { medications: [medication] } : { [metricKey]: values };
+    if (new Date() - recordedAt > 60000) {
+        parsed.recordedAt = recordedAt.toISOString();
+    }
+
+    const notes = document.getElementById('manualNotes').value;
+    closeModal();
+    await submitParsedInput(parsed, notes);
+}
+
+// ============================================================
+// 语音修正命令
+// ============================================================
+
+// 最近一次可撤销的操作：save / delete / amend
+let lastAction = null;
+
+// 最近一条记录；metric 为空时在所有指标中取最新的一条
+async function findLatestRecord(metric) {
+    const storeNames = metric ? [metric] : METRIC_KEYS;
+    const latest = await Promise.all(storeNames.map(name => getRecent(name, 1)));
+
+    let found = null;
+    latest.forEach((records, i) => {
+        if (records.length > 0 && (!found || records[0].recordedAt > found.record.recordedAt)) {
+            found = { storeName: storeNames[i], record: records[0] };
+        }
+    });
+    return found;
+}
+
+async function executeCommand(parsed) {
+    if (parsed.command === 'undo') {
+        return undoLastAction();
+    }
+
+    // 只写模式只能撤销自己刚记的，不能改动已有记录
+    if (appLocked) {
+        return '应用已锁定，请先解锁再修改或删除记录。';
+    }
+
+    const target = await findLatestRecord(parsed.metric);
+    if (!target) {
+        return `没有找到${parsed.metric ? METRICS[parsed.metric].name : ''}记录`;
+    }
+
+    const { storeName, record } = target;
+    const metric = METRICS[storeName];
+
+    if (parsed.command === 'delete') {
+        await deleteRecord(storeName, record.id);
+        lastAction = { type: 'delete', items: [{ storeName, id: record.id }] };
+        return `已删除${metric.describe(record)}，说撤销可以恢复。`;
+    }
+
+    // amend
+    const previous = { ...record };
+    Object.assign(record, parsed.values);
+    record.updatedAt = new Date().toISOString();
+    await updateRecord(storeName, record);
+    lastAction = { type: 'amend', storeName, previous };
+    return `已把${metric.describe(previous)}改成${metric.describeValue(record)}。`;
+}
+
+// 撤销最近一次操作，返回播报文字
+async function undoLastAction() {
+    if (!lastAction) {
+        return '没有可以撤销的操作';
+    }
+    // 只写模式只能撤销锁定后自己刚记的
+    if (appLocked && lastAction.type !== 'save') {
+        return '应用已锁定，请先解锁再撤销。';
+    }
+
+    const action = lastAction;
+    lastAction = null;
+
+    if (action.type === 'save') {
+        await Promise.all(action.items.map(item => deleteRecord(item.storeName, item.id)));
+        return '已撤销刚才的记录。';
+    }
+    if (action.type === 'delete') {
+        await Promise.all(action.items.map(item => restoreRecord(item.storeName, item.id)));
+        return '已恢复刚才删除的记录。';
+    }
+    await updateRecord(action.storeName, action.previous);
+    return `已恢复为${METRICS[action.storeName].describe(action.previous)}。`;
+}
+
+// ============================================================
+// 语音播报 (iOS Safari 兼容版)
+// ============================================================
+
+let voices = [];
+let isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+
+// 初始化语音
+function initSpeech() {
+    if (!('speechSynthesis' in window)) {
+        console.log('浏览器不支持语音合成');
+        return;
+    }
+
+    // 获取可用语音
+    const loadVoices = () => {
+        voices = speechSynthesis.getVoices();
+        console.log('可用语音:', voices.length, voices.map(v => v.lang));
+    };
+
+    // iOS 需要延迟加载
+    if (isIOS) {
+        setTimeout(loadVoices, 100);
+    } else {
+        loadVoices();
+    }
+    speechSynthesis.onvoiceschanged = loadVoices;
+}
+
+// 启用语音（iOS Safari 必须在用户交互中直接调用）
+function enableSpeech() {
+    // iOS Safari 需要在点击事件中直接触发一次
+    if (isIOS && 'speechSynthesis' in window) {
+        const utterance = new SpeechSynthesisUtterance(' ');
+        utterance.volume = 0.01;
+        utterance.rate = 10;
+        speechSynthesis.speak(utterance);
+    }
+}
+
+function speak(text) {
+    console.log('准备播报:', text);
+
+    if (!('speechSynthesis' in window)) {
+        console.log('浏览器不支持语音合成');
+        alert(text);
+        return;
+    }
+
+    // iOS Safari 特殊处理
+    if (isIOS) {
+        speakIOS(text);
+    } else {
+        speakDefault(text);
+    }
+}
+
+// iOS Safari 专用播报
+function speakIOS(text) {
+    // iOS 必须先取消，等一下再播
+    speechSynthesis.cancel();
+
+    setTimeout(() => {
+        const utterance = new SpeechSynthesisUtterance(text);
+
+        // iOS 中文语音设置
+        utterance.lang = 'zh-CN';
+        utterance.rate = 0.9;
+        utterance.pitch = 1.0;
+        utterance.volume = 1.0;
+
+        // 尝试使用中文语音
+        if (voices.length > 0) {
+            const zhVoice = voices.find(v =>
+                v.lang === 'zh-CN' ||
+                v.lang === 'zh-TW' ||
+                v.lang.startsWith('zh')
+            );
+            if (zhVoice) {
+                utterance.voice = zhVoice;
+                console.log('使用语音:', zhVoice.name);
+            }
+        }
+
+        utterance.onstart = () => {
+            console.log('iOS 开始播报');
+            document.getElementById('statusBar').textContent = '正在播报...';
+        };
+
+        utterance.onend = () => {
+            console.log('iOS 播报结束');
+            document.getElementById('statusBar').textContent = '播报完成';
+        };
+
+        utterance.onerror = (e) => {
+            console.error('iOS 播报错误:', e.error);
+            document.getElementById('statusBar').textContent = '播报失败: ' + e.error;
+        };
+
+        speechSynthesis.speak(utterance);
+    }, 250);
+}
+
+// 默认播报（Android/桌面）
+function speakDefault(text) {
+    speechSynthesis.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'zh-CN';
+    utterance.rate = 0.9;
+    utterance.pitch = 1.0;
+    utterance.volume = 1.0;
+
+    const zhVoice = voices.find(v => v.lang.includes('zh') || v.lang.includes('CN'));
+    if (zhVoice) {
+        utterance.voice = zhVoice;
+    }
+
+    utterance.onstart = () => console.log('开始播报');
+    utterance.onend = () => console.log('播报结束');
+    utterance.onerror = (e) => console.error('播报错误:', e);
+
+    setTimeout(() => {
+        speechSynthesis.speak(utterance);
+    }, 100);
+}
+
+// ============================================================
+// 日期范围
+// ============================================================
+
+// 报告时间段均按日历对齐，end 为时间段最后一毫秒
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// 下一个时间段开始前的最后一毫秒
+function endBefore(nextStart) {
+    return new Date(nextStart.getTime() - 1);
+}
+
+// 最近 days 天（含今天）
+function recentDaysRange(days, now = new Date()) {
+    return { start: addDays(startOfDay(now), 1 - days), end: new Date(now) };
+}
+
+// 自然日/周/月，offset 为 -1 表示上一个，周一为一周的开始
+function calendarPeriod(unit, offset = 0, now = new Date()) {
+    let start;
+    let next;
+    if (unit === 'month') {
+        start = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+        next = new Date(now.getFullYear(), now.getMonth() + offset + 1, 1);
+    } else if (unit === 'week') {
+        const monday = addDays(startOfDay(now), -((now.getDay() + 6) % 7));
+        start = addDays(monday, offset * 7);
+        next = addDays(start, 7);
+    } else {
+        start = addDays(startOfDay(now), offset);
+        next = addDays(start, 1);
+    }
+    return { start, end: endBefore(next) };
+}
+
+// 紧挨在前面、天数相同的时间段，用于环比
+function previousRange(range) {
+    const days = Math.round((startOfDay(addDays(range.end, 1)) - range.start) / 86400000);
+    return { start: addDays(range.start, -days), end: endBefore(range.start) };
+}
+
+// date 输入框的值（YYYY-MM-DD）按本地时间解析
+function parseDateInput(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function toDateInputValue(date) {
+    return toLocalInputValue(date.toISOString()).slice(0, 10);
+}
+
+// 开始、结束日期（都包含）转为时间范围，日期无效返回 null
+function dateInputRange(fromValue, toValue) {
+    const start = parseDateInput(fromValue);
+    const to = parseDateInput(toValue);
+    if (!start || !to || start > to) return null;
+    return { start, end: endBefore(addDays(to, 1)) };
+}
+
+function formatDateRange(range) {
+    const format = date => `${date.getMonth() + 1}月${date.getDate()}日`;
+    const from = format(range.start);
+    const to = format(range.end);
+    return from === to ? from : `${from}到${to}`;
+}
+
+// ============================================================
+// 汇总报告
+// ============================================================
+
+// 报告时间段：按钮、?action= 和语音共用。previous 为环比的上一个时间段，
+// 自然周/月取完整的上一周/月
+const REPORT_PERIODS = {
+    today: {
+        name: '今天', label: '今日汇总', previousName: '昨天',
+        range: now => calendarPeriod('day', 0, now),
+        previous: now => calendarPeriod('day', -1, now)
+    },
+    yesterday: {
+        name: '昨天', label: '昨日汇总', previousName: '前天',
+        range: now => calendarPeriod('day', -1, now),
+        previous: now => calendarPeriod('day', -2, now)
+    },
+    '3day': {
+        name: '最近3天', label: '三日报', previousName: '前3天',
+        range: now => recentDaysRange(3, now),
+        previous: now => previousRange(recentDaysRange(3, now))
+    },
+    // weekly 一直是最近 7 天，已有的 ?action=weekly 快捷指令不变；自然周用 thisWeek
+    weekly: {
+        name: '最近7天', label: '周报', previousName: '前7天',
+        range: now => recentDaysRange(7, now),
+        previous: now => previousRange(recentDaysRange(7, now))
+    },
+    thisWeek: {
+        name: '本周', label: '本周报', previousName: '上周',
+        range: now => calendarPeriod('week', 0, now),
+        previous: now => calendarPeriod('week', -1, now)
+    },
+    lastWeek: {
+        name: '上周', label: '上周报', previousName: '上上周',
+        range: now => calendarPeriod('week', -1, now),
+        previous: now => calendarPeriod('week', -2, now)
+    },
+    monthly: {
+        name: '本月', label: '月报', previousName: '上月',
+        range: now => calendarPeriod('month', 0, now),
+        previous: now => calendarPeriod('month', -1, now)
+    },
+    lastMonth: {
+        name: '上月', label: '上月报', previousName: '前一个月',
+        range: now => calendarPeriod('month', -1, now),
+        previous: now => calendarPeriod('month', -2, now)
+    }
+};
+
+// 数值变化的说法，例如 "比上周高0.4"
+function describeChange(diff, previousName, words, unit = '') {
+    if (diff === 0) return `与${previousName}持平`;
+    return `比${previousName}${diff > 0 ? words[0] : words[1]}${Math.abs(diff)}${unit}`;
+}
+
+async function showSummary(type) {
+    // iOS: 必须在点击事件中先触发一次语音
+    enableSpeech();
+
+    if (type === 'latest') {
+        const speech = await describeLatestData();
+        document.getElementById('result').textContent = speech;
+        speak(speech);
+        return;
+    }
+
+    const period = REPORT_PERIODS[type] || REPORT_PERIODS.weekly;
+    const now = new Date();
+    await reportPeriod(period.name, period.range(now), period.previousName, period.previous(now));
+}
+
+// 任意日期范围的报告，和等长的前一段比较
+async function showRangeSummary(range) {
+    enableSpeech();
+    await reportPeriod(formatDateRange(range), range, '前一时段', previousRange(range));
+}
+
+// 各指标的最新数据
+async function describeLatestData() {
+    const latest = await Promise.all(METRIC_KEYS.map(key => getRecent(key, 1)));
+
+    const parts = profilePrefix() ? [`${profilePrefix()}的最新数据`] : [];
+    METRIC_KEYS.forEach((key, i) => {
+        const metric = METRICS[key];
+        if (latest[i].length > 0) {
+            parts.push(metric.describeLatest(latest[i][0]));
+        } else if (metric.alwaysReport) {
+            parts.push(`暂无${metric.name}记录`);
+        }
+    });
+    return parts.join('。') + '。';
+}
+
+async function reportPeriod(name, range, previousName, previous) {
+    const report = await buildPeriodReport(name, range, previousName, previous);
+    document.getElementById('result').textContent = report.screen;
+    speak(report.speech);
+}
+
+// 返回 { speech, screen }：播报的简要汇总和屏幕上显示的报告
+async function buildPeriodReport(name, range, previousName, previous) {
+    const [stats, previousStats, medications] = await Promise.all([
+        getStats(range.start, range.end),
+        getStats(previous.start, previous.end),
+        getFilteredRecords(MEDICATION_STORE, range.start.toISOString(), range.end.toISOString())
+    ]);
+
+    // 播报用简要汇总，屏幕上每项另起一段并附上详细指标
+    const parts = [`${profilePrefix()}${name}健康数据汇报。`];
+    const screenParts = [`${profilePrefix()}${name}健康数据汇报。`];
+
+    METRIC_KEYS.forEach(key => {
+        const metric = METRICS[key];
+        const text = metric.summarize(stats[key]);
+        if (text) {
+            const summary = text + describeLevels(stats[key].levels) +
+                metric.compare(stats[key], previousStats[key], previousName);
+            const details = metric.details(stats[key]);
+            parts.push(summary);
+            screenParts.push(details ? `${summary}\n${details}` : summary);
+        }
+    });
+
+    const adherence = describeAdherence(medicationAdherence(medications, range));
+    if (adherence) {
+        parts.push(adherence);
+        screenParts.push(adherence);
+    }
+
+    parts.push('以上数据仅供参考。');
+    screenParts.push('以上数据仅供参考。');
+
+    return { speech: parts.join(''), screen: screenParts.join('\n\n') };
+}
+
+// 语音查询，返回 { speech, summary, screen }：说了指标只报这一项，没说指标时和报告按钮一样报全部。
+// 只写模式不能查看已有数据
+async function answerQuery(parsed) {
+    if (appLocked) {
+        const speech = '应用已锁定，请先解锁再查询。';
+        return { speech, summary: speech };
+    }
+
+    // 说了别的成员时切换过去，和记录时一样
+    if (parsed.profile) {
+        await switchProfile(parsed.profile);
+    }
+
+    const metric = parsed.metric ? METRICS[parsed.metric] : null;
+    if (parsed.period === 'latest') {
+        if (!metric) {
+            const speech = await describeLatestData();
+            return { speech, summary: '最新数据' };
+        }
+        const target = await findLatestRecord(metric.key);
+        const speech = profilePrefix() +
+            (target ? metric.describeLatest(target.record) : `暂无${metric.name}记录`) + '。';
+        return { speech, summary: speech };
+    }
+
+    const period = REPORT_PERIODS[parsed.period];
+    const now = new Date();
+    const range = period.range(now);
+    const previous = period.previous(now);
+    if (!metric) {
+        const report = await buildPeriodReport(period.name, range, period.previousName, previous);
+        return { ...report, summary: period.label };
+    }
+
+    const [stats, previousStats] = await Promise.all([
+        getStats(range.start, range.end),
+        getStats(previous.start, previous.end)
+    ]);
+    const current = stats[metric.key];
+    const speech = current.count === 0
+        ? `${profilePrefix()}${period.name}没有${metric.name}记录。`
+        : profilePrefix() + period.name + metric.summarize(current) + describeLevels(current.levels) +
+            metric.compare(current, previousStats[metric.key], period.previousName);
+    return { speech, summary: `${period.name}${metric.name}` };
+}
+
+// 自选日期报告
+function showCustomReport() {
+    const { start, end } = calendarPeriod('month', 0);
+    showModal(`
+        <h3>自选日期报告</h3>
+        <label class="form-field">开始日期
+            <input type="date" id="reportFrom" value="${toDateInputValue(start)}">
+        </label>
+        <label class="form-field">结束日期
+            <input type="date" id="reportTo" value="${toDateInputValue(new Date(Math.min(end, Date.now())))}">
+        </label>
+        <p class="form-error" id="reportError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitCustomReport()">生成报告</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+function submitCustomReport() {
+    const range = dateInputRange(
+        document.getElementById('reportFrom').value,
+        document.getElementById('reportTo').value
+    );
+    if (!range) {
+        document.getElementById('reportError').textContent = '请选择正确的开始和结束日期';
+        return;
+    }
+    closeModal();
+    showRangeSummary(range);
+}
+
+// ============================================================
+// 药物设置
+// ============================================================
+
+// 编辑中的药物列表，增删行时先保存输入框内容再重画
+let editingDrugs = [];
+
+function showDrugSettings() {
+    editingDrugs = drugs.map(drug => ({ ...drug }));
+    if (editingDrugs.length === 0) {
+        editingDrugs.push({ name: '', dose: null, unit: '', timesPerDay: 1 });
+    }
+    renderDrugSettings();
+}
+
+function renderDrugSettings() {
+    const rows = editingDrugs.map((drug, i) => `
+        <div class="drug-row">
+            <div class="form-grid">
+                <label class="form-field">药名
+                    <input type="text" id="drug_${i}_name" value="${escapeHtml(drug.name)}" placeholder="如 二甲双胍">
+                </label>
+                <label class="form-field">每天次数
+                    <input type="number" id="drug_${i}_timesPerDay" min="0" max="10" step="1" inputmode="numeric" value="${drug.timesPerDay ?? ''}">
+                </label>
+                <label class="form-field">默认剂量
+                    <input type="number" id="drug_${i}_dose" step="any" inputmode="decimal" value="${drug.dose ?? ''}">
+                </label>
+                <label class="form-field">单位
+                    <input type="text" id="drug_${i}_unit" value="${escapeHtml(drug.unit || '')}" placeholder="如 毫克、片、单位">
+                </label>
+            </div>
+            <span class="status-action" onclick="removeDrugRow(${i})">删除这种药</span>
+        </div>
+    `).join('');
+
+    showModal(`
+        <h3>${escapeHtml(profilePrefix())}药物设置</h3>
+        <p>设置后可以说"吃了二甲双胍"、"打了胰岛素 8 单位"记录用药；每天次数用于计算按时用药比例，填 0 表示按需用药不统计。</p>
+        ${rows}
+        <p class="form-error" id="drugError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="addDrugRow()">添加药物</button>
+            <button class="quick-btn" onclick="saveDrugSettings()">保存</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+function readDrugRows() {
+    return editingDrugs.map((drug, i) => {
+        const dose = parseFloat(document.getElementById(`drug_${i}_dose`).value);
+        const timesPerDay = parseInt(document.getElementById(`drug_${i}_timesPerDay`).value, 10);
+        return {
+            name: document.getElementById(`drug_${i}_name`).value.trim(),
+            dose: isNaN(dose) ? null : dose,
+            unit: document.getElementById(`drug_${i}_unit`).value.trim(),
+            timesPerDay: isNaN(timesPerDay) ? 0 : timesPerDay
+        };
+    });
+}
+
+function addDrugRow() {
+    editingDrugs = readDrugRows();
+    editingDrugs.push({ name: '', dose: null, unit: '', timesPerDay: 1 });
+    renderDrugSettings();
+}
+
+function removeDrugRow(index) {
+    editingDrugs = readDrugRows();
+    editingDrugs.splice(index, 1);
+    renderDrugSettings();
+}
+
+async function saveDrugSettings() {
+    const errorEl = document.getElementById('drugError');
+    const updated = readDrugRows().filter(drug => drug.name);
+
+    const names = new Set();
+    for (const drug of updated) {
+        if (names.has(drug.name)) {
+            errorEl.textContent = `${drug.name}重复了`;
+            return;
+        }
+        names.add(drug.name);
+        if (drug.dose !== null && (drug.dose <= 0 || drug.dose > 10000)) {
+            errorEl.textContent = `${drug.name}的剂量不正确`;
+            return;
+        }
+        if (drug.timesPerDay < 0 || drug.timesPerDay > 10) {
+            errorEl.textContent = `${drug.name}的每天次数应在 0 到 10 之间`;
+            return;
+        }
+    }
+
+    try {
+        await saveSetting(profileSettingKey('drugs'), updated);
+        await loadDrugs();
+        closeModal();
+        document.getElementById('statusBar').textContent = '药物设置已保存';
+    } catch (error) {
+        console.error('Settings error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 提醒
+// ============================================================
+
+// 提醒设置 [{ time: '07:00', store: 'glucose', context: 'fasting', label: '空腹血糖', profile: 'dad' }]，
+// 存在设置表 reminders，sw.js 的定期同步读取同一份设置。每天到点通知，点击通知打开 ?action=record。
+// profile 为提醒的家庭成员，只看这个成员的记录判断是否已测；没有 profile 的旧提醒属于默认成员
+let reminders = [];
+let reminderTimer = null;
+
+// 提醒时间前多久内的记录也算按时测量；过了提醒时间多久还没记录算漏测（分钟）
+const REMINDER_EARLY_MINUTES = 60;
+const REMINDER_MISSED_MINUTES = 60;
+
+// 支持定时通知时预先排好几天的提醒，应用一直不打开也能按时提醒
+const REMINDER_SCHEDULE_DAYS = 7;
+
+// 提醒项目：血糖按场景分开，其他指标和用药各一项
+const REMINDER_TARGETS = [
+    ...['fasting', 'preMeal', 'postMeal', 'bedtime'].map(context => ({
+        store: 'glucose', context, label: `${GLUCOSE_CONTEXTS[context]}血糖`
+    })),
+    ...METRIC_KEYS.filter(key => key !== 'glucose').map(key => ({
+        store: key, context: '', label: METRICS[key].name
+    })),
+    { store: MEDICATION_STORE, context: '', label: '用药' }
+];
+
+async function loadReminders() {
+    reminders = (await getSetting('reminders')) || [];
+}
+
+function reminderProfile(reminder) {
+    return reminder.profile || DEFAULT_PROFILE_ID;
+}
+
+function reminderTarget(reminder) {
+    return REMINDER_TARGETS.find(t => t.store === reminder.store && t.context === (reminder.context || ''));
+}
+
+// 例如 "7:00 空腹血糖"，多个成员时 "7:00 爸爸空腹血糖"
+function describeReminder(reminder) {
+    const target = reminderTarget(reminder);
+    const name = profiles.length > 1 ? profileName(reminderProfile(reminder)) : '';
+    return `${reminder.time.replace(/^0(\d)/, '$1')} ${name}${target ? target.label : storeLabel(reminder.store)}`;
+}
+
+// 同一条提醒的标识，也用作通知的 tag 前缀（与 sw.js 一致）；默认成员的提醒不带成员，和原来一样
+function reminderId(reminder) {
+    const profile = reminderProfile(reminder);
+    return `${reminder.time}|${reminder.store}|${reminder.context || ''}` +
+        (profile === DEFAULT_PROFILE_ID ? '' : `|${profile}`);
+}
+
+// 某一天的提醒时间
+function reminderTime(reminder, day) {
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+// 下一次提醒时间：今天还没到就是今天，否则是明天
+function nextReminderTime(reminder, now = new Date()) {
+    const today = reminderTime(reminder, now);
+    return today > now ? today : reminderTime(reminder, addDays(today, 1));
+}
+
+// 提醒时间前 REMINDER_EARLY_MINUTES 分钟起提醒的成员有相应记录（血糖还要场景相同）就算已测
+async function isReminderDone(reminder, due) {
+    const from = new Date(due.getTime() - REMINDER_EARLY_MINUTES * 60000);
+    const records = await getFilteredRecords(reminder.store, from.toISOString(), null, reminderProfile(reminder));
+    return records.some(r => !reminder.context || r.context === reminder.context);
+}
+
+// 今天已过提醒时间 REMINDER_MISSED_MINUTES 分钟仍没有记录的提醒
+async function findMissedReminders(now = new Date()) {
+    const missed = [];
+    for (const reminder of reminders) {
+        const due = reminderTime(reminder, now);
+        if (now - due >= REMINDER_MISSED_MINUTES * 60000 && !(await isReminderDone(reminder, due))) {
+            missed.push(reminder);
+        }
+    }
+    return missed.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// 漏测提示条：每次刷新历史记录和回到应用时更新
+async function updateMissedReminders() {
+    const barEl = document.getElementById('reminderBar');
+    try {
+        const missed = await findMissedReminders();
+        if (missed.length === 0) {
+            barEl.style.display = 'none';
+            return;
+        }
+        barEl.innerHTML = `⏰ 今天还没记录：${missed.map(describeReminder).join('、')}` +
+            ' <span class="status-action" onclick="showAutoRecordOverlay()">去记录</span>';
+        barEl.style.display = 'block';
+    } catch (error) {
+        console.error('Reminder check error:', error);
+    }
+}
+
+function showReminderNotification(registration, reminder, due, options = {}) {
+    return registration.showNotification('健康记录提醒', {
+        body: `${describeReminder(reminder)}，轻触开始语音记录`,
+        tag: `reminder|${reminderId(reminder)}|${toDateInputValue(due)}`,
+        icon: 'icon-192.png',
+        data: { url: `?action=record&profile=${encodeURIComponent(reminderProfile(reminder))}` },
+        ...options
+    });
+}
+
+// 定时通知排好后 sw.js 检查不到已有的记录，记录后在这里撤掉这条记录已经满足的提醒
+async function cancelReminderNotifications(storeName, record) {
+    if (!('Notification' in window) || !('serviceWorker' in navigator) || !('showTrigger' in Notification.prototype)) {
+        return;
+    }
+    const now = new Date();
+    const recordedAt = new Date(record.recordedAt);
+    const tags = reminders
+        .filter(reminder => reminder.store === storeName && reminderProfile(reminder) === record.profile &&
+            (!reminder.context || reminder.context === record.context))
+        .map(reminder => ({ reminder, due: nextReminderTime(reminder, now) }))
+        .filter(({ due }) => recordedAt >= due.getTime() - REMINDER_EARLY_MINUTES * 60000)
+        .map(({ reminder, due }) => `reminder|${reminderId(reminder)}|${toDateInputValue(due)}`);
+    if (tags.length === 0) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const pending = await registration.getNotifications({ includeTriggered: true });
+    pending.filter(n => tags.includes(n.tag)).forEach(n => n.close());
+}
+
+/**
+ * 按提醒设置安排通知。支持定时通知（Notification Triggers）时交给系统，应用关闭也会提醒；
+ * 否则注册定期同步由 sw.js 检查，应用打开期间再用定时器按时提醒。
+ * 每次启动和修改提醒后调用，重新安排全部提醒。
+ */
+async function scheduleReminders() {
+    clearTimeout(reminderTimer);
+    if (!('Notification' in window) || !('serviceWorker' in navigator) || Notification.permission !== 'granted') {
+        return;
+    }
+    const registration = await navigator.serviceWorker.ready;
+
+    if ('showTrigger' in Notification.prototype) {
+        const pending = await registration.getNotifications({ includeTriggered: true });
+        pending.filter(n => n.tag.startsWith('reminder|')).forEach(n => n.close());
+
+        const now = new Date();
+        for (const reminder of reminders) {
+            let due = nextReminderTime(reminder, now);
+            // 提醒前已经记录过的，这一次不再提醒
+            if (await isReminderDone(reminder, due)) {
+                due = reminderTime(reminder, addDays(due, 1));
+            }
+            for (let i = 0; i < REMINDER_SCHEDULE_DAYS; i++, due = reminderTime(reminder, addDays(due, 1))) {
+                await showReminderNotification(registration, reminder, due, {
+                    showTrigger: new TimestampTrigger(due.getTime())
+                });
+            }
+        }
+        return;
+    }
+
+    if ('periodicSync' in registration) {
+        try {
+            await registration.periodicSync.register('reminders', { minInterval: 15 * 60000 });
+        } catch (error) {
+            // 没有安装到桌面时浏览器不允许定期同步，只能在应用打开时提醒
+            console.log('Periodic sync unavailable:', error);
+        }
+    }
+    scheduleReminderTimer(registration);
+}
+
+// 应用打开期间的定时器：到点时还没记录就通知，并记下今天已提醒，避免 sw.js 重复提醒
+function scheduleReminderTimer(registration) {
+    if (reminders.length === 0) return;
+    const now = new Date();
+    const next = Math.min(...reminders.map(r => nextReminderTime(r, now).getTime()));
+
+    reminderTimer = setTimeout(async () => {
+        const due = new Date(next);
+        const log = (await getSetting('reminderLog')) || {};
+        for (const reminder of reminders) {
+            if (reminderTime(reminder, due).getTime() !== next) continue;
+            if (await isReminderDone(reminder, due)) continue;
+            await showReminderNotification(registration, reminder, due);
+            log[reminderId(reminder)] = toDateInputValue(due);
+        }
+        await saveSetting('reminderLog', log);
+        updateMissedReminders();
+        scheduleReminderTimer(registration);
+    }, next - now.getTime());
+}
+
+// ============================================================
+// 提醒设置
+// ============================================================
+
+// 编辑中的提醒列表，增删行时先保存输入框内容再重画
+let editingReminders = [];
+
+function showReminderSettings() {
+    editingReminders = reminders.map(reminder => ({ ...reminder, profile: reminderProfile(reminder) }));
+    if (editingReminders.length === 0) {
+        editingReminders.push({ time: '07:00', store: 'glucose', context: 'fasting', label: '空腹血糖', profile: currentProfile });
+    }
+    renderReminderSettings();
+}
+
+function renderReminderSettings() {
+    const rows = editingReminders.map((reminder, i) => `
+        <div class="drug-row">
+            <div class="form-grid">
+                <label class="form-field">每天
+                    <input type="time" id="reminder_${i}_time" value="${reminder.time}">
+                </label>
+                <label class="form-field">提醒
+                    <select id="reminder_${i}_target">
+                        ${REMINDER_TARGETS.map((t, j) => `
+                            <option value="${j}" ${t === reminderTarget(reminder) ? 'selected' : ''}>${t.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${profiles.length > 1 ? `
+                    <label class="form-field">成员
+                        <select id="reminder_${i}_profile">
+                            ${profiles.map(p => `
+                                <option value="${escapeHtml(p.id)}" ${p.id === reminder.profile ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            <span class="status-action" onclick="removeReminderRow(${i})">删除这个提醒</span>
+        </div>
+    `).join('');
+
+    const denied = 'Notification' in window && Notification.permission === 'denied';
+    showModal(`
+        <h3>提醒设置</h3>
+        <p>到点会发通知，轻触通知直接开始语音记录；过了时间还没记录，首页会显示漏测提示。</p>
+        ${denied ? '<p class="form-error">通知权限已被关闭，请在浏览器设置中允许通知，否则只能看到漏测提示。</p>' : ''}
+        ${rows}
+        <p class="form-error" id="reminderError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="addReminderRow()">添加提醒</button>
+            <button class="quick-btn" onclick="saveReminderSettings()">保存</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+function readReminderRows() {
+    return editingReminders.map((reminder, i) => {
+        const target = REMINDER_TARGETS[document.getElementById(`reminder_${i}_target`).value];
+        const profileEl = document.getElementById(`reminder_${i}_profile`);
+        return {
+            time: document.getElementById(`reminder_${i}_time`).value,
+            store: target.store,
+            context: target.context,
+            label: target.label,
+            profile: profileEl ? profileEl.value : reminder.profile
+        };
+    });
+}
+
+function addReminderRow() {
+    editingReminders = readReminderRows();
+    editingReminders.push({ time: '20:00', store: 'pressure', context: '', label: '血压', profile: currentProfile });
+    renderReminderSettings();
+}
+
+function removeReminderRow(index) {
+    editingReminders = readReminderRows();
+    editingReminders.splice(index, 1);
+    renderReminderSettings();
+}
+
+async function saveReminderSettings() {
+    const errorEl = document.getElementById('reminderError');
+    const updated = readReminderRows();
+
+    const ids = new Set();
+    for (const reminder of updated) {
+        if (!/^\d{2}:\d{2}$/.test(reminder.time)) {
+            errorEl.textContent = '请填写提醒时间';
+            return;
+        }
+        if (ids.has(reminderId(reminder))) {
+            errorEl.textContent = `${describeReminder(reminder)}重复了`;
+            return;
+        }
+        ids.add(reminderId(reminder));
+    }
+    updated.sort((a, b) => a.time.localeCompare(b.time));
+
+    try {
+        await saveSetting('reminders', updated);
+        await loadReminders();
+
+        // 第一次设置提醒时申请通知权限（需要在点击中申请）
+        let status = '提醒已保存';
+        if (updated.length > 0 && 'Notification' in window) {
+            if (Notification.permission === 'default') {
+                await Notification.requestPermission();
+            }
+            if (Notification.permission !== 'granted') {
+                status = '提醒已保存，但没有通知权限，只能在首页看到漏测提示';
+            }
+        }
+        closeModal();
+        document.getElementById('statusBar').textContent = status;
+        updateMissedReminders();
+        scheduleReminders().catch(error => console.error('Reminder schedule error:', error));
+    } catch (error) {
+        console.error('Settings error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 家庭成员设置
+// ============================================================
+
+// 编辑中的成员列表；saved 为 true 的是已保存的成员，代号不能再改（记录按代号归属）
+let editingProfiles = [];
+
+function showProfileSettings() {
+    editingProfiles = profiles.map(p => ({ ...p, saved: true }));
+    renderProfileSettings();
+}
+
+function renderProfileSettings() {
+    const rows = editingProfiles.map((profile, i) => `
+        <div class="drug-row">
+            <div class="form-grid">
+                <label class="form-field">称呼
+                    <input type="text" id="profile_${i}_name" value="${escapeHtml(profile.name)}" placeholder="如 爸爸、妈妈">
+                </label>
+                <label class="form-field">代号（快捷指令用）
+                    <input type="text" id="profile_${i}_id" value="${escapeHtml(profile.id)}" placeholder="如 dad、mom"${profile.saved ? ' readonly' : ''}>
+                </label>
+            </div>
+            ${profile.id === DEFAULT_PROFILE_ID ? '' : `<span class="status-action" onclick="removeProfileRow(${i})">删除这个成员</span>`}
+        </div>
+    `).join('');
+
+    showModal(`
+        <h3>家庭成员</h3>
+        <p>每个成员的记录分开保存。说"爸爸血糖 6.4"会切换到爸爸并记录；快捷指令可以加上 <code>&amp;profile=代号</code>。</p>
+        ${rows}
+        <p class="form-error" id="profileError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="addProfileRow()">添加成员</button>
+            <button class="quick-btn" onclick="saveProfileSettings()">保存</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+function readProfileRows() {
+    return editingProfiles.map((profile, i) => ({
+        id: document.getElementById(`profile_${i}_id`).value.trim(),
+        name: document.getElementById(`profile_${i}_name`).value.trim(),
+        saved: profile.saved
+    }));
+}
+
+function addProfileRow() {
+    editingProfiles = readProfileRows();
+    editingProfiles.push({ id: '', name: '', saved: false });
+    renderProfileSettings();
+}
+
+function removeProfileRow(index) {
+    editingProfiles = readProfileRows();
+    editingProfiles.splice(index, 1);
+    renderProfileSettings();
+}
+
+async function saveProfileSettings() {
+    const errorEl = document.getElementById('profileError');
+    const rows = readProfileRows().filter(p => p.saved || p.id || p.name);
+
+    const ids = new Set();
+    const names = new Set();
+    for (const profile of rows) {
+        if (!profile.name) {
+            errorEl.textContent = '请填写每个成员的称呼';
+            return;
+        }
+        if (!PROFILE_ID_PATTERN.test(profile.id)) {
+            errorEl.textContent = `${profile.name}的代号只能用英文字母、数字、- 和 _`;
+            return;
+        }
+        if (ids.has(profile.id) || names.has(profile.name)) {
+            errorEl.textContent = `${profile.name}重复了`;
+            return;
+        }
+        ids.add(profile.id);
+        names.add(profile.name);
+    }
+
+    try {
+        for (const profile of profiles) {
+            if (!ids.has(profile.id) && await profileHasRecords(profile.id)) {
+                errorEl.textContent = `${profile.name}还有记录，请先切换到${profile.name}导出备份并删除记录`;
+                return;
+            }
+        }
+
+        await saveSetting('profiles', rows.map(({ id, name }) => ({ id, name })));
+        await loadProfiles();
+        await loadDrugs();
+
+        // 删除的成员的提醒一起删除
+        const kept = reminders.filter(reminder => ids.has(reminderProfile(reminder)));
+        if (kept.length !== reminders.length) {
+            await saveSetting('reminders', kept);
+            await loadReminders();
+            scheduleReminders().catch(error => console.error('Reminder schedule error:', error));
+        }
+        closeModal();
+        renderProfileSelect();
+        loadHistory(currentTab);
+        document.getElementById('statusBar').textContent = '家庭成员已保存';
+    } catch (error) {
+        console.error('Settings error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 本地加密设置
+// ============================================================
+
+let unlockResolve = null;
+
+// 启动时解锁本地加密的数据；输入正确的 PIN 或清除加密数据后继续启动
+function requestDataUnlock() {
+    return new Promise(resolve => {
+        unlockResolve = resolve;
+        renderUnlockPrompt();
+    });
+}
+
+function renderUnlockPrompt() {
+    showModal(`
+        <h3>🔐 输入 PIN</h3>
+        <p>记录已加密，请输入 PIN 解锁。</p>
+        <label class="form-field">PIN
+            <input type="password" id="unlockPin" inputmode="numeric" autocomplete="current-password">
+        </label>
+        <p class="form-error" id="unlockError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitUnlock()">解锁</button>
+            <button class="quick-btn" onclick="showForgotPin()">忘记 PIN</button>
+        </div>
+    `);
+}
+
+async function submitUnlock() {
+    const errorEl = document.getElementById('unlockError');
+    try {
+        await unlockDataKey(document.getElementById('unlockPin').value);
+        closeModal();
+        unlockResolve();
+    } catch (error) {
+        errorEl.textContent = error.message;
+    }
+}
+
+function showForgotPin() {
+    showModal(`
+        <h3>忘记 PIN</h3>
+        <p>PIN 不会保存在手机上，也没有服务器可以找回。没有 PIN，加密的记录无法解密。</p>
+        <p>只能清除手机上的全部记录，再用「导入」从之前导出的备份恢复（加密备份需要当时设置的备份密码）。目标范围、药物、提醒等设置会保留。</p>
+        <label class="form-field">确认清除请输入"清除"
+            <input type="text" id="forgotConfirm">
+        </label>
+        <p class="form-error" id="forgotError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="confirmForgotPin()">清除全部记录</button>
+            <button class="quick-btn" onclick="renderUnlockPrompt()">返回</button>
+        </div>
+    `);
+}
+
+async function confirmForgotPin() {
+    const errorEl = document.getElementById('forgotError');
+    if (document.getElementById('forgotConfirm').value.trim() !== '清除') {
+        errorEl.textContent = '请输入"清除"确认';
+        return;
+    }
+    try {
+        await clearEncryptedData();
+        closeModal();
+        document.getElementById('statusBar').textContent = '已清除加密记录，可以从备份导入';
+        unlockResolve();
+    } catch (error) {
+        console.error('Clear error:', error);
+        errorEl.textContent = '清除失败';
+    }
+}
+
+async function showEncryptionSettings() {
+    const enabled = !!(await getSetting('encryption'));
+
+    showModal(enabled ? `
+        <h3>本地加密</h3>
+        <p>已开启：读数和备注加密保存，每次打开应用需要输入 PIN。</p>
+        <label class="form-field">输入 PIN 关闭加密
+            <input type="password" id="encryptionPin" inputmode="numeric" autocomplete="current-password">
+        </label>
+        <p class="form-error" id="encryptionError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitDisableEncryption()">关闭加密</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    ` : `
+        <h3>本地加密</h3>
+        <p>开启后读数和备注在手机上加密保存，每次打开应用需要输入 PIN。</p>
+        <p class="form-error">PIN 无法找回，忘记 PIN 只能清除全部记录再从备份恢复。开启前请先导出一份备份。</p>
+        <label class="form-field">设置 PIN（至少 ${MIN_PIN_LENGTH} 位）
+            <input type="password" id="encryptionPin" inputmode="numeric" autocomplete="new-password">
+        </label>
+        <label class="form-field">再输入一次
+            <input type="password" id="encryptionPinConfirm" inputmode="numeric" autocomplete="new-password">
+        </label>
+        <p class="form-error" id="encryptionError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitEnableEncryption()">开启加密</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function submitEnableEncryption() {
+    const errorEl = document.getElementById('encryptionError');
+    const pin = document.getElementById('encryptionPin').value;
+
+    if (pin.length < MIN_PIN_LENGTH) {
+        errorEl.textContent = `PIN 至少 ${MIN_PIN_LENGTH} 位`;
+        return;
+    }
+    if (pin !== document.getElementById('encryptionPinConfirm').value) {
+        errorEl.textContent = '两次输入的 PIN 不一致';
+        return;
+    }
+
+    if (syncConfig) {
+        errorEl.textContent = '多设备同步开启时不能加密，请先关闭同步';
+        return;
+    }
+
+    try {
+        errorEl.textContent = '正在加密已有记录...';
+        await enableEncryption(pin);
+        closeModal();
+        document.getElementById('statusBar').textContent = '本地加密已开启';
+    } catch (error) {
+        console.error('Encryption error:', error);
+        errorEl.textContent = '开启失败：' + error.message;
+    }
+}
+
+async function submitDisableEncryption() {
+    const errorEl = document.getElementById('encryptionError');
+    try {
+        errorEl.textContent = '正在解密记录...';
+        await disableEncryption(document.getElementById('encryptionPin').value);
+        closeModal();
+        document.getElementById('statusBar').textContent = '本地加密已关闭';
+    } catch (error) {
+        console.error('Encryption error:', error);
+        errorEl.textContent = error.message;
+    }
+}
+
+// ============================================================
+// 应用锁设置
+// ============================================================
+
+function renderLockTimeoutOptions(selected) {
+    return LOCK_TIMEOUT_OPTIONS.map(minutes =>
+        `<option value="${minutes}"${minutes === selected ? ' selected' : ''}>${minutes} 分钟</option>`
+    ).join('');
+}
+
+async function showAppLockSettings() {
+    if (!appLock) {
+        showModal(`
+            <h3>应用锁</h3>
+            <p>开启后打开应用需要先解锁，别人拿到手机也看不到记录。锁定时仍可以用「记录健康」快捷指令只记录、不查看。</p>
+            <label class="form-field">设置 PIN（至少 ${MIN_PIN_LENGTH} 位）
+                <input type="password" id="appLockPin" inputmode="numeric" autocomplete="new-password">
+            </label>
+            <label class="form-field">再输入一次
+                <input type="password" id="appLockPinConfirm" inputmode="numeric" autocomplete="new-password">
+            </label>
+            <label class="form-field">无操作自动锁定
+                <select id="lockTimeout">${renderLockTimeoutOptions(DEFAULT_LOCK_TIMEOUT)}</select>
+            </label>
+            <p class="form-error" id="appLockError"></p>
+            <div class="modal-actions">
+                <button class="quick-btn" onclick="submitEnableAppLock()">开启</button>
+                <button class="quick-btn" onclick="closeModal()">取消</button>
+            </div>
+        `);
+        return;
+    }
+
+    const biometric = appLock.credential
+        ? '<button class="quick-btn" onclick="removeBiometric()">移除指纹/面容解锁</button>'
+        : (await isBiometricAvailable() ? '<button class="quick-btn" onclick="addBiometric()">👆 添加指纹/面容解锁</button>' : '');
+
+    showModal(`
+        <h3>应用锁</h3>
+        <p>已开启${appLock.credential ? '，可以用指纹/面容解锁' : ''}。</p>
+        <label class="form-field">无操作自动锁定
+            <select id="lockTimeout" onchange="saveLockTimeout(this.value)">${renderLockTimeoutOptions(appLock.timeoutMinutes)}</select>
+        </label>
+        <label class="form-field">输入 PIN 关闭应用锁
+            <input type="password" id="appLockPin" inputmode="numeric" autocomplete="current-password">
+        </label>
+        <p class="form-error" id="appLockError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="lockApp()">🔒 立即锁定</button>
+            ${biometric}
+            <button class="quick-btn" onclick="submitDisableAppLock()">关闭应用锁</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function saveAppLock(updated) {
+    await saveSetting('appLock', updated);
+    await loadAppLock();
+}
+
+async function submitEnableAppLock() {
+    const errorEl = document.getElementById('appLockError');
+    const pin = document.getElementById('appLockPin').value;
+
+    if (pin.length < MIN_PIN_LENGTH) {
+        errorEl.textContent = `PIN 至少 ${MIN_PIN_LENGTH} 位`;
+        return;
+    }
+    if (pin !== document.getElementById('appLockPinConfirm').value) {
+        errorEl.textContent = '两次输入的 PIN 不一致';
+        return;
+    }
+
+    try {
+        await saveAppLock({
+            pin: await createPinHash(pin),
+            timeoutMinutes: parseInt(document.getElementById('lockTimeout').value, 10),
+            credential: null
+        });
+        lastActiveAt = Date.now();
+        // 接着询问是否添加指纹/面容
+        await showAppLockSettings();
+        document.getElementById('statusBar').textContent = '应用锁已开启';
+    } catch (error) {
+        console.error('App lock error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+async function saveLockTimeout(value) {
+    try {
+        await saveAppLock({ ...appLock, timeoutMinutes: parseInt(value, 10) });
+    } catch (error) {
+        console.error('App lock error:', error);
+        document.getElementById('appLockError').textContent = '保存失败';
+    }
+}
+
+async function addBiometric() {
+    const errorEl = document.getElementById('appLockError');
+    try {
+        await saveAppLock({ ...appLock, credential: await registerBiometric() });
+        await showAppLockSettings();
+        document.getElementById('statusBar').textContent = '已添加指纹/面容解锁';
+    } catch (error) {
+        console.error('Biometric register error:', error);
+        errorEl.textContent = '没有完成指纹/面容设置';
+    }
+}
+
+async function removeBiometric() {
+    try {
+        await saveAppLock({ ...appLock, credential: null });
+        await showAppLockSettings();
+    } catch (error) {
+        console.error('App lock error:', error);
+        document.getElementById('appLockError').textContent = '保存失败';
+    }
+}
+
+async function submitDisableAppLock() {
+    const errorEl = document.getElementById('appLockError');
+    if (!(await checkPin(document.getElementById('appLockPin').value))) {
+        errorEl.textContent = 'PIN 不正确';
+        return;
+    }
+    try {
+        await saveSetting('appLock', null);
+        await loadAppLock();
+        closeModal();
+        document.getElementById('statusBar').textContent = '应用锁已关闭';
+    } catch (error) {
+        console.error('App lock error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 同步设置
+// ============================================================
+
+async function showSyncSettings() {
+    if (await getSetting('encryption')) {
+        showModal(`
+            <h3>多设备同步</h3>
+            <p>本地加密开启时不能同步：同步文件保存在服务器上，不是加密的。需要同步请先关闭本地加密。</p>
+            <div class="modal-actions">
+                <button class="quick-btn" onclick="closeModal()">关闭</button>
+            </div>
+        `);
+        return;
+    }
+
+    const config = syncConfig || { url: '', username: '', password: '' };
+    const state = (await getSetting('syncState')) || {};
+    const status = !syncConfig ? '' : `
+        <p>上次同步：${state.lastSyncAt ? new Date(state.lastSyncAt).toLocaleString('zh-CN') : '还没有同步过'}</p>
+        ${state.lastError ? `<p class="form-error">上次同步失败：${escapeHtml(state.lastError)}</p>` : ''}
+    `;
+
+    showModal(`
+        <h3>多设备同步</h3>
+        <p>手机、平板等设备填写同一个同步地址，记录会合并到一起。支持 WebDAV 网盘（如坚果云、Nextcloud），地址填到文件，例如 https://dav.example.com/health/records.json。</p>
+        ${status}
+        <label class="form-field">同步地址
+            <input type="url" id="syncUrl" value="${escapeHtml(config.url)}" placeholder="https://">
+        </label>
+        <label class="form-field">用户名（可选）
+            <input type="text" id="syncUsername" value="${escapeHtml(config.username)}" autocomplete="username">
+        </label>
+        <label class="form-field">密码（可选）
+            <input type="password" id="syncPassword" value="${escapeHtml(config.password)}" autocomplete="current-password">
+        </label>
+        <p class="form-error" id="syncError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitSyncSettings()">保存并同步</button>
+            ${syncConfig ? '<button class="quick-btn" onclick="submitSyncNow()">立即同步</button>' : ''}
+            ${syncConfig ? '<button class="quick-btn" onclick="disableSync()">关闭同步</button>' : ''}
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function submitSyncSettings() {
+    const errorEl = document.getElementById('syncError');
+    const url = document.getElementById('syncUrl').value.trim();
+
+    if (!/^https:\/\//i.test(url) && !/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//i.test(url)) {
+        errorEl.textContent = '请填写 https:// 开头的地址';
+        return;
+    }
+
+    const firstTime = !syncConfig;
+    try {
+        await saveSetting('sync', {
+            url,
+            username: document.getElementById('syncUsername').value.trim(),
+            password: document.getElementById('syncPassword').value
+        });
+        await loadSync();
+        // 第一次开启时上传本机已有的全部记录
+        if (firstTime) {
+            await enqueueAllRecords();
+        }
+    } catch (error) {
+        console.error('Sync settings error:', error);
+        errorEl.textContent = '保存失败';
+        return;
+    }
+    await submitSyncNow();
+}
+
+async function submitSyncNow() {
+    const errorEl = document.getElementById('syncError');
+    errorEl.textContent = '正在同步...';
+    try {
+        const { pulled, pushed } = await syncNow();
+        closeModal();
+        document.getElementById('statusBar').textContent = `同步完成：下载 ${pulled} 条，上传 ${pushed} 条`;
+    } catch (error) {
+        // 跨域被拒绝、网络断开时 fetch 只给出 TypeError
+        errorEl.textContent = error instanceof TypeError
+            ? '无法连接服务器，请检查网络和地址（服务器需要允许跨域访问）'
+            : '同步失败：' + error.message;
+    }
+}
+
+// 关闭同步：清空待同步队列，服务器上的同步文件保留
+async function disableSync() {
+    try {
+        await saveSetting('sync', null);
+        await loadSync();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(SYNC_QUEUE_STORE, 'readwrite');
+            tx.objectStore(SYNC_QUEUE_STORE).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        closeModal();
+        document.getElementById('statusBar').textContent = '同步已关闭';
+    } catch (error) {
+        console.error('Sync settings error:', error);
+        document.getElementById('syncError').textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 趋势图
+// ============================================================
+
+// 纯 SVG 绘制，不依赖外部图表库，离线可用。屏幕上是深色背景，打印用浅色背景
+const CHART_THEMES = {
+    screen: {
+        text: 'currentColor',
+        grid: '#ffffff',
+        band: '#ffffff',
+        series: ['#ffffff', '#ffd54f', '#80deea'],
+        levels: { low: '#4fc3f7', high: '#ffb74d', critical: '#ff5252' },
+        marker: '#a5d6a7'
+    },
+    print: {
+        text: '#333333',
+        grid: '#999999',
+        band: '#4caf50',
+        series: ['#1a237e', '#c62828', '#00838f'],
+        levels: { low: '#0288d1', high: '#ef6c00', critical: '#d50000' },
+        marker: '#2e7d32'
+    }
+};
+const CHART_RANGES = [7, 30, 90];
+
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 24, left: 36 };
+
+// 当前图表的状态，点选数据点时使用
+let chartMetric = 'glucose';
+let chartPoints = [];
+
+function formatChartDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+// 取整的纵轴刻度
+function niceStep(span) {
+    const raw = span / 4;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(n => n * power).find(n => n >= raw);
+    return step || power * 10;
+}
+
+/**
+ * 生成趋势图 SVG。records 按时间升序；onPointClick 为 true 时数据点可点选，
+ * 点选后显示 chartPoints 中对应的记录；theme 为 CHART_THEMES 中的配色；
+ * medications 为同一时间段的用药记录，在横轴上方标出。
+ */
+function renderChartSvg(metricKey, records, start, end, { onPointClick = false, theme = CHART_THEMES.screen, medications = [] } = {}) {
+    const metric = METRICS[metricKey];
+    const series = metric.chartSeries().map((s, i) => ({ ...s, color: theme.series[i % theme.series.length] }));
+    const bands = metric.chartBands();
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    // 纵轴范围包含所有数值和色带
+    const values = [];
+    records.forEach(r => series.forEach(s => {
+        if (typeof r[s.key] === 'number') values.push(r[s.key]);
+    }));
+    bands.forEach(b => values.push(b.from, b.to));
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    if (minValue === maxValue) {
+        const padding = Math.max(Math.abs(minValue) * 0.1, 1);
+        minValue -= padding;
+        maxValue += padding;
+    }
+    const step = niceStep(maxValue - minValue);
+    minValue = Math.floor(minValue / step) * step;
+    maxValue = Math.ceil(maxValue / step) * step;
+
+    const startTime = start.getTime();
+    const timeSpan = Math.max(end.getTime() - startTime, 1);
+    const x = time => CHART_PADDING.left + (new Date(time).getTime() - startTime) / timeSpan * plotWidth;
+    const y = value => CHART_PADDING.top + (maxValue - value) / (maxValue - minValue) * plotHeight;
+    const round = n => Math.round(n * 10) / 10;
+
+    const parts = [];
+
+    bands.forEach(b => {
+        parts.push(`<rect x="${CHART_PADDING.left}" y="${round(y(b.to))}" width="${plotWidth}" ` +
+            `height="${round(y(b.from) - y(b.to))}" fill="${theme.band}" fill-opacity="0.15"/>`);
+    });
+
+    for (let value = minValue; value <= maxValue + step / 2; value += step) {
+        const label = Number(value.toFixed(2));
+        parts.push(`<line x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" ` +
+            `y1="${round(y(value))}" y2="${round(y(value))}" stroke="${theme.grid}" stroke-opacity="0.3"/>`);
+        parts.push(`<text x="${CHART_PADDING.left - 4}" y="${round(y(value)) + 4}" text-anchor="end">${label}</text>`);
+    }
+
+    const middle = new Date((startTime + end.getTime()) / 2);
+    [[start, 'start'], [middle, 'middle'], [end, 'end']].forEach(([date, anchor]) => {
+        parts.push(`<text x="${round(x(date))}" y="${CHART_HEIGHT - 6}" text-anchor="${anchor}">${formatChartDate(date)}</text>`);
+    });
+
+    series.forEach(s => {
+        const points = records
+            .filter(r => typeof r[s.key] === 'number')
+            .map(r => `${round(x(r.recordedAt))},${round(y(r[s.key]))}`);
+        if (points.length > 1) {
+            parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"/>`);
+        }
+    });
+
+    records.forEach((r, i) => {
+        const level = metric.classify(r);
+        series.forEach(s => {
+            if (typeof r[s.key] !== 'number') return;
+            const cx = round(x(r.recordedAt));
+            const cy = round(y(r[s.key]));
+            const fill = theme.levels[level] || s.color;
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="3.5" fill="${fill}" stroke="${s.color}"/>`);
+            if (onPointClick) {
+                // 手指点选用更大的透明热区
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="12" fill="transparent" class="chart-hit" onclick="showChartPoint(${i})"/>`);
+            }
+        });
+    });
+
+    // 用药标记：横轴上方的小三角，悬停或长按显示药名
+    const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+    medications.forEach(m => {
+        const mx = round(x(m.recordedAt));
+        parts.push(`<path d="M${mx},${bottom - 7} l-4,7 h8 z" fill="${theme.marker}">` +
+            `<title>${escapeHtml(describeMedication(m))}</title></path>`);
+    });
+
+    let legend = series.map(s => `<span style="color:${s.color}">● ${escapeHtml(s.label)}</span>`).join(' ');
+    if (medications.length > 0) {
+        legend += ` <span style="color:${theme.marker}">▲ 用药</span>`;
+    }
+
+    return `
+        <svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg"
+            font-size="10" fill="${theme.text}">
+            ${parts.join('')}
+        </svg>
+        <div class="chart-legend">${legend}${bands.length > 0 ? ' <span class="chart-band-label">■ 目标范围</span>' : ''}</div>
+    `;
+}
+
+function showChart(metricKey = currentTab) {
+    chartMetric = metricKey;
+    const { start, end } = recentDaysRange(CHART_RANGES[0]);
+
+    showModal(`
+        <h3>趋势图</h3>
+        <div class="tabs">
+            ${METRIC_KEYS.map(key => `
+                <button class="tab${key === metricKey ? ' active' : ''}" data-chart-metric="${key}" onclick="switchChartMetric('${key}')">${METRICS[key].name}</button>
+            `).join('')}
+        </div>
+        <div class="chart-ranges">
+            ${CHART_RANGES.map(days => `
+                <button class="tab" data-chart-days="${days}" onclick="selectChartDays(${days})">${days}天</button>
+            `).join('')}
+        </div>
+        <div class="chart-custom">
+            <input type="date" id="chartFrom" value="${toDateInputValue(start)}">
+            <span>至</span>
+            <input type="date" id="chartTo" value="${toDateInputValue(end)}">
+            <button class="tab" onclick="selectChartCustomRange()">查看</button>
+        </div>
+        <div id="chartArea" class="chart-area"></div>
+        <p id="chartDetail">点击数据点查看记录</p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="closeModal()">关闭</button>
+        </div>
+    `);
+
+    selectChartDays(CHART_RANGES[0]);
+}
+
+function switchChartMetric(metricKey) {
+    chartMetric = metricKey;
+    document.querySelectorAll('[data-chart-metric]').forEach(t => {
+        t.classList.toggle('active', t.dataset.chartMetric === metricKey);
+    });
+    selectChartCustomRange();
+}
+
+function selectChartDays(days) {
+    const { start, end } = recentDaysRange(days);
+    document.getElementById('chartFrom').value = toDateInputValue(start);
+    document.getElementById('chartTo').value = toDateInputValue(end);
+    document.querySelectorAll('[data-chart-days]').forEach(t => {
+        t.classList.toggle('active', Number(t.dataset.chartDays) === days);
+    });
+    drawChart(start, end);
+}
+
+function selectChartCustomRange() {
+    const range = dateInputRange(
+        document.getElementById('chartFrom').value,
+        document.getElementById('chartTo').value
+    );
+    if (!range) {
+        document.getElementById('chartDetail').textContent = '请选择正确的开始和结束日期';
+        return;
+    }
+
+    document.querySelectorAll('[data-chart-days]').forEach(t => {
+        const preset = recentDaysRange(Number(t.dataset.chartDays));
+        const matches = preset.start.getTime() === range.start.getTime() &&
+            startOfDay(preset.end).getTime() === startOfDay(range.end).getTime();
+        t.classList.toggle('active', matches);
+    });
+    drawChart(range.start, range.end);
+}
+
+async function drawChart(start, end) {
+    const areaEl = document.getElementById('chartArea');
+    const [records, medications] = await Promise.all([
+        getFilteredRecords(chartMetric, start.toISOString(), end.toISOString()),
+        getFilteredRecords(MEDICATION_STORE, start.toISOString(), end.toISOString())
+    ]);
+    chartPoints = records;
+    document.getElementById('chartDetail').textContent = '点击数据点查看记录';
+
+    if (records.length === 0) {
+        areaEl.innerHTML = `<div class="empty-state">这段时间没有${METRICS[chartMetric].name}记录</div>`;
+        return;
+    }
+    areaEl.innerHTML = renderChartSvg(chartMetric, records, start, end, { onPointClick: true, medications });
+}
+
+function showChartPoint(index) {
+    const record = chartPoints[index];
+    if (!record) return;
+
+    const metric = METRICS[chartMetric];
+    const level = metric.classify(record);
+    const time = toLocalInputValue(record.recordedAt).replace('T', ' ');
+    const levelText = level ? `（${LEVEL_NAMES[level]}）` : '';
+    document.getElementById('chartDetail').textContent = `${time}  ${metric.format(record)}${levelText}`;
+}
+
+// ============================================================
+// 就诊报告
+// ============================================================
+
+// 生成可打印的报告页，通过浏览器打印对话框保存为 PDF
+async function showVisitReportForm() {
+    const patientName = (await getSetting(profileSettingKey('patientName'))) ||
+        (currentProfile === DEFAULT_PROFILE_ID ? '' : profileName());
+    const { start, end } = recentDaysRange(30);
+
+    showModal(`
+        <h3>就诊报告</h3>
+        <label class="form-field">姓名
+            <input type="text" id="visitName" value="${escapeHtml(patientName)}" placeholder="打印在报告上">
+        </label>
+        <label class="form-field">开始日期
+            <input type="date" id="visitFrom" value="${toDateInputValue(start)}">
+        </label>
+        <label class="form-field">结束日期
+            <input type="date" id="visitTo" value="${toDateInputValue(end)}">
+        </label>
+        <p class="form-error" id="visitError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="generateVisitReport()">生成报告</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function generateVisitReport() {
+    const errorEl = document.getElementById('visitError');
+    const patientName = document.getElementById('visitName').value.trim();
+    const range = dateInputRange(
+        document.getElementById('visitFrom').value,
+        document.getElementById('visitTo').value
+    );
+    if (!range) {
+        errorEl.textContent = '请选择正确的开始和结束日期';
+        return;
+    }
+
+    try {
+        await saveSetting(profileSettingKey('patientName'), patientName);
+        const html = await buildVisitReport(patientName, range);
+        closeModal();
+
+        const reportEl = document.getElementById('printReport');
+        reportEl.innerHTML = `
+            <div class="print-actions">
+                <button class="quick-btn" onclick="window.print()">打印 / 保存为 PDF</button>
+                <button class="quick-btn" onclick="closeVisitReport()">关闭</button>
+            </div>
+            ${html}
+        `;
+        reportEl.style.display = 'block';
+        document.body.classList.add('print-mode');
+        reportEl.scrollTop = 0;
+    } catch (error) {
+        console.error('Report error:', error);
+        errorEl.textContent = '生成报告失败';
+    }
+}
+
+function closeVisitReport() {
+    const reportEl = document.getElementById('printReport');
+    reportEl.style.display = 'none';
+    reportEl.innerHTML = '';
+    document.body.classList.remove('print-mode');
+}
+
+// 记录的选项字段（如血糖测量场景）文字
+function describeOptions(metric, record) {
+    return metric.options
+        .map(option => option.choices[record[option.key]])
+        .filter(Boolean)
+        .join('、');
+}
+
+async function buildVisitReport(patientName, range) {
+    const startISO = range.start.toISOString();
+    const endISO = range.end.toISOString();
+    const [stats, results, medications] = await Promise.all([
+        getStats(range.start, range.end),
+        Promise.all(METRIC_KEYS.map(key => getFilteredRecords(key, startISO, endISO))),
+        getFilteredRecords(MEDICATION_STORE, startISO, endISO)
+    ]);
+
+    const recordsByMetric = {};
+    METRIC_KEYS.forEach((key, i) => {
+        recordsByMetric[key] = results[i];
+    });
+    const activeKeys = METRIC_KEYS.filter(key => recordsByMetric[key].length > 0);
+
+    // 汇总统计
+    const summary = activeKeys.map(key => {
+        const metric = METRICS[key];
+        const details = metric.details(stats[key]);
+        return `
+            <h3>${metric.name}</h3>
+            <p>${escapeHtml(metric.summarize(stats[key]) + describeLevels(stats[key].levels))}</p>
+            ${details ? `<p class="report-details">${escapeHtml(details)}</p>` : ''}
+        `;
+    }).join('');
+
+    // 趋势图
+    const charts = activeKeys.map(key => `
+        <div class="report-chart">
+            <h3>${METRICS[key].name}</h3>
+            ${renderChartSvg(key, recordsByMetric[key], range.start, range.end, { theme: CHART_THEMES.print, medications })}
+        </div>
+    `).join('');
+
+    // 全部记录按时间排序，超出目标范围的单独列出
+    const allRecords = [];
+    activeKeys.forEach(key => {
+        recordsByMetric[key].forEach(record => allRecords.push({ metric: METRICS[key], record }));
+    });
+    medications.forEach(record => allRecords.push({ metric: null, record }));
+    allRecords.sort((a, b) => a.record.recordedAt.localeCompare(b.record.recordedAt));
+
+    const rows = allRecords.map(({ metric, record }) => {
+        const local = toLocalInputValue(record.recordedAt);
+        if (!metric) {
+            return {
+                date: local.slice(0, 10),
+                time: local.slice(11),
+                level: 'medication',
+                text: `💊 ${describeMedication(record)}`,
+                context: '',
+                notes: record.notes || ''
+            };
+        }
+        const level = metric.classify(record);
+        return {
+            date: local.slice(0, 10),
+            time: local.slice(11),
+            level,
+            text: metric.format(record) + (level && level !== 'normal' ? `（${LEVEL_NAMES[level]}）` : ''),
+            context: describeOptions(metric, record),
+            notes: record.notes || ''
+        };
+    });
+
+    const events = rows.filter(row => LEVEL_NAMES[row.level] && row.level !== 'normal');
+    const adherence = describeAdherence(medicationAdherence(medications, range));
+    const eventRows = events.map(row => `
+        <tr class="level-${row.level}">
+            <td>${row.date} ${row.time}</td>
+            <td>${escapeHtml(row.text)}</td>
+            <td>${escapeHtml(row.context)}</td>
+        </tr>
+    `).join('');
+
+    // 同一天只在第一行显示日期
+    const dailyRows = rows.map((row, i) => `
+        <tr class="level-${row.level || 'none'}${i === 0 || rows[i - 1].date !== row.date ? ' day-start' : ''}">
+            <td>${i === 0 || rows[i - 1].date !== row.date ? row.date : ''}</td>
+            <td>${row.time}</td>
+            <td>${escapeHtml(row.text)}</td>
+            <td>${escapeHtml(row.context)}</td>
+            <td>${escapeHtml(row.notes)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <h1>就诊报告</h1>
+        <p class="report-meta">
+            姓名：${escapeHtml(patientName || '未填写')}<br>
+            时间范围：${toDateInputValue(range.start)} 至 ${toDateInputValue(range.end)}<br>
+            生成时间：${toLocalInputValue(new Date().toISOString()).replace('T', ' ')}
+        </p>
+
+        <h2>汇总</h2>
+        ${summary || '<p>这段时间没有记录。</p>'}
+        ${adherence ? `<h3>用药</h3><p>${escapeHtml(adherence)}</p>` : ''}
+
+        ${charts ? `<h2>趋势图</h2><div class="report-charts">${charts}</div>` : ''}
+
+        <h2>超出目标范围（${events.length}次）</h2>
+        ${events.length > 0 ? `
+            <table>
+                <thead><tr><th>时间</th><th>记录</th><th>场景</th></tr></thead>
+                <tbody>${eventRows}</tbody>
+            </table>
+        ` : '<p>无</p>'}
+
+        <h2>每日记录</h2>
+        ${rows.length > 0 ? `
+            <table>
+                <thead><tr><th>日期</th><th>时间</th><th>记录</th><th>场景</th><th>备注</th></tr></thead>
+                <tbody>${dailyRows}</tbody>
+            </table>
+        ` : '<p>无</p>'}
+
+        <p class="report-footer">本报告由个人健康记录应用生成，数据为患者自测，仅供就诊参考。</p>
+    `;
+}
+
+// ============================================================
+// 通用弹窗
+// ============================================================
+
+function showModal(html) {
+    document.getElementById('modalContent').innerHTML = html;
+    document.getElementById('modal').style.display = 'flex';
+}
+
+function closeModal() {
+    document.getElementById('modal').style.display = 'none';
+    document.getElementById('modalContent').innerHTML = '';
+}
+
+// ============================================================
+// 历史记录
+// ============================================================
+
+let currentTab = 'glucose';
+
+// 每个指标一个标签
+function renderHistoryTabs() {
+    document.getElementById('historyTabs').innerHTML = METRIC_KEYS.map(key => `
+        <button class="tab${key === currentTab ? ' active' : ''}" data-metric="${key}" onclick="switchTab('${key}')">${METRICS[key].name}</button>
+    `).join('');
+}
+
+function switchTab(tab) {
+    currentTab = tab;
+    document.querySelectorAll('.tab').forEach(t => {
+        t.classList.toggle('active', t.dataset.metric === tab);
+    });
+    loadHistory(tab);
+}
+
+async function loadHistory(type = 'glucose') {
+    // 锁定（只写模式）时不显示任何记录
+    if (appLocked) return;
+    updateMissedReminders();
+    const records = await getRecent(type, 20);
+    const listEl = document.getElementById('historyList');
+    const metric = METRICS[type];
+
+    if (records.length === 0) {
+        listEl.innerHTML = '<div class="empty-state">暂无记录</div>';
+        return;
+    }
+
+    // 同一时间段内的用药穿插显示，方便对照读数
+    const medications = await getFilteredRecords(MEDICATION_STORE, records[records.length - 1].recordedAt);
+    const items = [
+        ...records.map(r => ({ recordedAt: r.recordedAt, html: `
+            <div class="history-item level-${metric.classify(r) || 'none'}" onclick="editRecord('${type}', ${r.id})">
+                <span class="value">${metric.format(r)}</span>
+                <span class="time">${formatTime(r.recordedAt)}</span>
+            </div>
+        ` })),
+        ...medications.map(r => ({ recordedAt: r.recordedAt, html: `
+            <div class="history-item medication-item" onclick="showMedicationRecord(${r.id})">
+                <span class="value">💊 ${escapeHtml(describeMedication(r))}</span>
+                <span class="time">${formatTime(r.recordedAt)}</span>
+            </div>
+        ` }))
+    ];
+    items.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+
+    listEl.innerHTML = items.map(item => item.html).join('');
+}
+
+function formatTime(isoTime) {
+    const date = new Date(isoTime);
+    const now = new Date();
+    const diff = now - date;
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+
+    if (minutes < 1) return '刚刚';
+    if (minutes < 60) return `${minutes}分钟前`;
+    if (hours < 24) return `${hours}小时前`;
+    if (days === 1) return '昨天';
+    if (days < 7) return `${days}天前`;
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+// ============================================================
+// 编辑和删除记录
+// ============================================================
+
+// ISO 时间转为 datetime-local 输入框格式（本地时间）
+function toLocalInputValue(isoTime) {
+    const date = new Date(isoTime);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 指标数值和选项的表单字段，编辑记录和手动录入共用
+// 数值框用 inputmode 调出手机数字键盘；新记录的选项可留空，保存时自动推断
+function renderMetricFields(metric, record = {}) {
+    const valueFields = metric.fields.map(field => `
+        <label class="form-field">${field.label} (${field.unit || metric.unit}${field.optional ? '，可不填' : ''})
+            <input type="number" id="field_${field.key}" step="${field.step}"
+                inputmode="${field.step < 1 ? 'decimal' : 'numeric'}" value="${record[field.key] ?? ''}">
+        </label>
+    `).join('');
+    const optionFields = metric.options.map(option => `
+        <label class="form-field">${option.label}
+            <select id="field_${option.key}">
+                ${record[option.key] ? '' : '<option value="">按测量时间自动判断</option>'}
+                ${Object.entries(option.choices).map(([key, label]) =>
+                    `<option value="${key}"${key === record[option.key] ? ' selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+        </label>
+    `).join('');
+    return valueFields + optionFields;
+}
+
+// 读取表单字段，按指标定义的范围校验（与语音解析相同），返回 { values } 或 { error }
+function readMetricFields(metric) {
+    const values = {};
+    for (const field of metric.fields) {
+        const text = document.getElementById(`field_${field.key}`).value;
+        const value = text === '' ? null : parseFloat(text);
+        if (value === null ? !field.optional : !isInRange(field, value)) {
+            return { error: `${field.label}应在 ${field.min} 到 ${field.max} 之间` };
+        }
+        values[field.key] = value;
+    }
+    metric.options.forEach(option => {
+        const value = document.getElementById(`field_${option.key}`).value;
+        if (value) {
+            values[option.key] = value;
+        }
+    });
+    return { values };
+}
+
+async function editRecord(storeName, id) {
+    const record = await getRecord(storeName, id);
+    if (!record) return;
+
+    const metric = METRICS[storeName];
+
+    showModal(`
+        <h3>修改${metric.name}记录</h3>
+        ${renderMetricFields(metric, record)}
+        <label class="form-field">测量时间
+            <input type="datetime-local" id="editTime" value="${toLocalInputValue(record.recordedAt)}">
+        </label>
+        <label class="form-field">备注
+            <textarea id="editNotes" rows="2">${escapeHtml(record.notes || '')}</textarea>
+        </label>
+        <p class="form-error" id="editError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="saveEdit('${storeName}', ${id})">保存</button>
+            <button class="quick-btn" onclick="confirmDelete('${storeName}', ${id})">删除</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function saveEdit(storeName, id) {
+    const errorEl = document.getElementById('editError');
+    const record = await getRecord(storeName, id);
+    const { values, error } = readMetricFields(METRICS[storeName]);
+    if (error) {
+        errorEl.textContent = error;
+        return;
+    }
+    Object.assign(record, values);
+
+    const time = document.getElementById('editTime').value;
+    if (!time || isNaN(Date.parse(time))) {
+        errorEl.textContent = '请填写测量时间';
+        return;
+    }
+    record.recordedAt = new Date(time).toISOString();
+    record.notes = document.getElementById('editNotes').value;
+    record.updatedAt = new Date().toISOString();
+
+    try {
+        await updateRecord(storeName, record);
+        closeModal();
+        document.getElementById('statusBar').textContent = '记录已修改';
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Update error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+async function confirmDelete(storeName, id) {
+    try {
+        await deleteRecord(storeName, id);
+        lastAction = { type: 'delete', items: [{ storeName, id }] };
+        closeModal();
+        document.getElementById('statusBar').innerHTML =
+            '记录已删除 <span class="status-action" onclick="undoFromStatus()">撤销</span>';
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Delete error:', error);
+        document.getElementById('editError').textContent = '删除失败';
+    }
+}
+
+async function undoFromStatus() {
+    try {
+        document.getElementById('statusBar').textContent = await undoLastAction();
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Restore error:', error);
+        document.getElementById('statusBar').textContent = '恢复失败';
+    }
+}
+
+// 用药记录只能删除（可撤销），说错了删掉重新说
+async function showMedicationRecord(id) {
+    const record = await getRecord(MEDICATION_STORE, id);
+    if (!record) return;
+
+    showModal(`
+        <h3>用药记录</h3>
+        <p>💊 ${escapeHtml(describeMedication(record))}</p>
+        <p>${toLocalInputValue(record.recordedAt).replace('T', ' ')}</p>
+        ${record.notes ? `<p>${escapeHtml(record.notes)}</p>` : ''}
+        <p class="form-error" id="editError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="confirmDelete('${MEDICATION_STORE}', ${id})">删除</button>
+            <button class="quick-btn" onclick="closeModal()">关闭</button>
+        </div>
+    `);
+}
+
+// ============================================================
+// 目标范围设置
+// ============================================================
+
+const TARGET_FIELDS = [
+    ['criticalLow', '危急下限（低于）'],
+    ['low', '正常下限'],
+    ['high', '正常上限'],
+    ['criticalHigh', '危急上限（达到）']
+];
+
+function showSettings() {
+    const groups = Object.keys(DEFAULT_TARGETS).map(key => `
+        <p><strong>${TARGET_LABELS[key]}</strong></p>
+        <div class="form-grid">
+            ${TARGET_FIELDS.map(([field, label]) => `
+                <label class="form-field">${label}
+                    <input type="number" id="target_${key}_${field}" step="0.1" inputmode="decimal" value="${targets[key][field]}">
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+
+    showModal(`
+        <h3>目标范围</h3>
+        ${groups}
+        <p class="form-error" id="settingsError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="saveSettings()">保存</button>
+            <button class="quick-btn" onclick="resetSettings()">恢复默认</button>
+            <button class="quick-btn" onclick="showDrugSettings()">💊 药物设置</button>
+            <button class="quick-btn" onclick="showReminderSettings()">⏰ 提醒设置</button>
+            <button class="quick-btn" onclick="showProfileSettings()">👪 家庭成员</button>
+            <button class="quick-btn" onclick="showEncryptionSettings()">🔐 本地加密</button>
+            <button class="quick-btn" onclick="showAppLockSettings()">🔒 应用锁</button>
+            <button class="quick-btn" onclick="showSyncSettings()">🔄 同步</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
+
+async function saveSettings() {
+    const errorEl = document.getElementById('settingsError');
+    const updated = {};
+
+    for (const key of Object.keys(DEFAULT_TARGETS)) {
+        const range = {};
+        for (const [field] of TARGET_FIELDS) {
+            const value = parseFloat(document.getElementById(`target_${key}_${field}`).value);
+            if (isNaN(value)) {
+                errorEl.textContent = `请填写${TARGET_LABELS[key]}的全部数值`;
+                return;
+            }
+            range[field] = value;
+        }
+        if (!(range.criticalLow <= range.low && range.low <= range.high && range.high < range.criticalHigh)) {
+            errorEl.textContent = `${TARGET_LABELS[key]}应满足：危急下限 ≤ 正常下限 ≤ 正常上限 < 危急上限`;
+            return;
+        }
+        updated[key] = range;
+    }
+
+    try {
+        await saveSetting('targets', updated);
+        await loadTargets();
+        closeModal();
+        document.getElementById('statusBar').textContent = '目标范围已保存';
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Settings error:', error);
+        errorEl.textContent = '保存失败';
+    }
+}
+
+async function resetSettings() {
+    try {
+        await saveSetting('targets', DEFAULT_TARGETS);
+        await loadTargets();
+        closeModal();
+        document.getElementById('statusBar').textContent = '已恢复默认目标范围';
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Settings error:', error);
+        document.getElementById('settingsError').textContent = '保存失败';
+    }
+}
+
+// ============================================================
+// 数据导出
+// ============================================================
+
+const EXPORT_FORMATS = {
+    json: 'JSON 备份（可导入恢复）',
+    csv: 'CSV 表格（Excel / WPS 打开）',
+    fhir: 'FHIR R4（给医院或其他健康应用）'
+};
+
+// 导出文件的扩展名和 MIME 类型
+const EXPORT_FILE_TYPES = {
+    json: { extension: 'json', type: 'application/json' },
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+    fhir: { extension: 'fhir.json', type: 'application/fhir+json' },
+    encrypted: { extension: 'encrypted.json', type: 'application/json' }
+};
+
+// Excel 需要 BOM 才能按 UTF-8 识别中文
+const CSV_BOM = '\uFEFF';
+
+function showExportOptions() {
+    showModal(`
+        <h3>导出数据</h3>
+        <label class="form-field">格式
+            <select id="exportFormat" onchange="updateExportEncryption()">
+                ${Object.entries(EXPORT_FORMATS).map(([value, label]) =>
+                    `<option value="${value}">${label}</option>`
+                ).join('')}
+            </select>
+        </label>
+        <label class="form-field">开始日期（不填为最早）
+            <input type="date" id="exportFrom">
+        </label>
+        <label class="form-field">结束日期（不填为今天）
+            <input type="date" id="exportTo">
+        </label>
+        <div class="form-field">项目
+            <div class="checkbox-list">
+                ${BACKUP_STORES.map(key => `
+                    <label><input type="checkbox" name="exportMetric" value="${key}" checked> ${storeLabel(key)}</label>
+                `).join('')}
+            </div>
+        </div>
+        <label class="form-check">
+            <input type="checkbox" id="exportEncrypt" onchange="updateExportEncryption()"${dataKey ? ' checked' : ''}> 加密备份（发到微信、网盘更安全）
+        </label>
+        <div id="exportPassphraseFields">
+            <label class="form-field">备份密码（至少 ${MIN_PASSPHRASE_LENGTH} 位，忘记无法恢复）
+                <input type="password" id="exportPassphrase" autocomplete="new-password">
+            </label>
+            <label class="form-field">再输入一次
+                <input type="password" id="exportPassphraseConfirm" autocomplete="new-password">
+            </label>
+        </div>
+        <p class="form-error" id="exportError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitExport()">导出</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+    updateExportEncryption();
+}
+
+// 只有 JSON 备份可以加密；勾选加密时才显示密码输入框
+function updateExportEncryption() {
+    const isJson = document.getElementById('exportFormat').value === 'json';
+    const encryptEl = document.getElementById('exportEncrypt');
+    encryptEl.disabled = !isJson;
+    document.getElementById('exportPassphraseFields').style.display = isJson && encryptEl.checked ? '' : 'none';
+}
+
+async function submitExport() {
+    const errorEl = document.getElementById('exportError');
+    const fromValue = document.getElementById('exportFrom').value;
+    const toValue = document.getElementById('exportTo').value;
+    const start = parseDateInput(fromValue);
+    const to = parseDateInput(toValue);
+    const metrics = [...document.querySelectorAll('input[name="exportMetric"]:checked')].map(el => el.value);
+
+    if ((fromValue && !start) || (toValue && !to) || (start && to && start > to)) {
+        errorEl.textContent = '请选择正确的开始和结束日期';
+        return;
+    }
+    if (metrics.length === 0) {
+        errorEl.textContent = '请至少选择一个项目';
+        return;
+    }
+
+    const format = document.getElementById('exportFormat').value;
+    let passphrase = null;
+    if (format === 'json' && document.getElementById('exportEncrypt').checked) {
+        passphrase = document.getElementById('exportPassphrase').value;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            errorEl.textContent = `备份密码至少 ${MIN_PASSPHRASE_LENGTH} 位`;
+            return;
+        }
+        if (passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+            errorEl.textContent = '两次输入的备份密码不一致';
+            return;
+        }
+    }
+
+    try {
+        await exportData({
+            format,
+            metrics,
+            start,
+            end: to ? endBefore(addDays(to, 1)) : null,
+            passphrase
+        });
+        closeModal();
+    } catch (error) {
+        console.error('Export error:', error);
+        errorEl.textContent = '导出失败';
+    }
+}
+
+/**
+ * 导出全部记录（不限条数）。按时间逐条写入分块，最后合成一个文件，
+ * 避免把所有记录拼成一个大字符串。start、end 为空表示不限。
+ * 给了 passphrase 时整个 JSON 备份加密后导出（见 encryptBackup）。
+ */
+async function exportData({ format = 'json', metrics = BACKUP_STORES, start = null, end = null, passphrase = null } = {}) {
+    const range = {
+        startISO: start ? start.toISOString() : null,
+        endISO: end ? end.toISOString() : null
+    };
+    let result;
+    if (format === 'csv') {
+        result = await buildCsvExport(metrics, range);
+    } else if (format === 'fhir') {
+        result = await buildFhirExport(metrics, range);
+    } else {
+        result = await buildJsonExport(metrics, range, metrics.length < BACKUP_STORES.length || !!start || !!end);
+    }
+    const { count } = result;
+    let { chunks } = result;
+
+    let fileType = EXPORT_FILE_TYPES[format] || EXPORT_FILE_TYPES.json;
+    if (passphrase) {
+        const bytes = new Uint8Array(await new Blob(chunks).arrayBuffer());
+        chunks = [JSON.stringify(await encryptBackup(bytes, passphrase))];
+        fileType = EXPORT_FILE_TYPES.encrypted;
+    }
+    const blob = new Blob(chunks, { type: fileType.type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    const profileTag = currentProfile === DEFAULT_PROFILE_ID ? '' : `${currentProfile}_`;
+    a.download = `health_data_${profileTag}${toDateInputValue(new Date())}.${fileType.extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    document.getElementById('statusBar').textContent = `数据已${passphrase ? '加密' : ''}导出，共 ${count} 条`;
+}
+
+// 与导入兼容的 JSON 备份；筛选过的导出标记为 partial，导入时只允许合并
+async function buildJsonExport(metrics, range, partial) {
+    const chunks = [
+        `{\n  "exportTime": ${JSON.stringify(new Date().toISOString())}`,
+        `,\n  "profile": ${JSON.stringify(profileName())}`
+    ];
+    let count = 0;
+
+    if (partial) {
+        chunks.push(',\n  "partial": true');
+    }
+
+    for (const key of BACKUP_STORES) {
+        chunks.push(`,\n  "${key}": [`);
+        let first = true;
+        if (metrics.includes(key)) {
+            count += await forEachRecord(key, range.startISO, range.endISO, record => {
+                chunks.push((first ? '\n    ' : ',\n    ') + JSON.stringify(record));
+                first = false;
+            });
+        }
+        chunks.push(first ? ']' : '\n  ]');
+    }
+
+    chunks.push('\n}\n');
+    return { chunks, count };
+}
+
+// CSV 单元格：必要时加引号；文本以 = + - @ 开头时加 ' 防止被表格软件当作公式
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 数值列：单值指标共用"数值"列，血压等多值指标每个字段一列
+function csvValueColumns(metrics) {
+    const columns = [];
+    metrics.forEach(key => {
+        METRICS[key].fields.forEach(field => {
+            if (!columns.some(c => c.key === field.key)) {
+                columns.push({ key: field.key, label: field.key === 'value' ? '数值' : field.label });
+            }
+        });
+    });
+    return columns;
+}
+
+// 每条记录一行：日期、时间（本地）、项目、数值、单位、场景、备注；用药的剂量写在"数值"列
+async function buildCsvExport(metrics, range) {
+    const valueColumns = csvValueColumns(metrics.filter(key => METRICS[key]));
+    if (metrics.includes(MEDICATION_STORE) && !valueColumns.some(c => c.key === 'value')) {
+        valueColumns.unshift({ key: 'value', label: '数值' });
+    }
+    const header = ['日期', '时间', '项目', ...valueColumns.map(c => c.label), '单位', '场景', '备注'];
+    const chunks = [CSV_BOM + header.map(csvCell).join(',') + '\r\n'];
+    let count = 0;
+
+    for (const key of metrics.filter(key => METRICS[key])) {
+        const metric = METRICS[key];
+        const fieldKeys = metric.fields.map(field => field.key);
+        count += await forEachRecord(key, range.startISO, range.endISO, record => {
+            const local = toLocalInputValue(record.recordedAt);
+            const row = [
+                local.slice(0, 10),
+                local.slice(11),
+                metric.name,
+                ...valueColumns.map(c => fieldKeys.includes(c.key) ? record[c.key] : ''),
+                metric.unit,
+                describeOptions(metric, record),
+                record.notes || ''
+            ];
+            chunks.push(row.map(csvCell).join(',') + '\r\n');
+        });
+    }
+
+    if (metrics.includes(MEDICATION_STORE)) {
+        count += await forEachRecord(MEDICATION_STORE, range.startISO, range.endISO, record => {
+            const local = toLocalInputValue(record.recordedAt);
+            const row = [
+                local.slice(0, 10),
+                local.slice(11),
+                `用药：${record.drug}`,
+                ...valueColumns.map(c => c.key === 'value' ? record.dose : ''),
+                record.unit,
+                '',
+                record.notes || ''
+            ];
+            chunks.push(row.map(csvCell).join(',') + '\r\n');
+        });
+    }
+
+    return { chunks, count };
+}
+
+// ============================================================
+// 数据导入
+// ============================================================
+
+let pendingImport = null;
+
+// 获取当前成员的全部记录，用于导入去重；不含已删除的，本地删掉的记录可以从备份中找回
+function getAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result.filter(r => isVisibleRecord(r)));
+        request.onerror = () => reject(request.error);
+    }).then(records => Promise.all(records.map(r => openRecord(r))));
+}
+
+// 去重依据：记录时间 + 必填字段数值（用药为记录时间 + 药名）
+function recordKey(storeName, record) {
+    if (storeName === MEDICATION_STORE) {
+        return `${record.recordedAt}|${record.drug}`;
+    }
+    const values = METRICS[storeName].fields
+        .filter(field => !field.optional)
+        .map(field => record[field.key]);
+    return `${record.recordedAt}|${values.join('/')}`;
+}
+
+function isValidTime(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+function isValidNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+// 按指标定义整理一条备份记录，不合法返回 null
+function sanitizeRecord(metric, r) {
+    if (!r || !isValidTime(r.recordedAt)) {
+        return null;
+    }
+
+    const record = {};
+    for (const field of metric.fields) {
+        if (isValidNumber(r[field.key])) {
+            record[field.key] = r[field.key];
+        } else if (field.optional) {
+            record[field.key] = null;
+        } else {
+            return null;
+        }
+    }
+    metric.options.forEach(option => {
+        if (option.choices.hasOwnProperty(r[option.key])) {
+            record[option.key] = r[option.key];
+        }
+    });
+    record.unit = r.unit || metric.unit;
+    record.recordedAt = r.recordedAt;
+    record.notes = typeof r.notes === 'string' ? r.notes : '';
+
+    return metric.prepare(record);
+}
+
+function sanitizeMedication(r) {
+    if (!r || !isValidTime(r.recordedAt) || typeof r.drug !== 'string' || !r.drug.trim()) {
+        return null;
+    }
+    return {
+        drug: r.drug.trim(),
+        dose: isValidNumber(r.dose) ? r.dose : null,
+        unit: typeof r.unit === 'string' ? r.unit : '',
+        recordedAt: r.recordedAt,
+        notes: typeof r.notes === 'string' ? r.notes : ''
+    };
+}
+
+// 校验 exportData 生成的备份格式 {exportTime, glucose, pressure, ...其他指标}
+// 格式不对直接报错；单条记录不合法则跳过并计数
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('文件内容不是有效的备份');
+    }
+    if (!isValidTime(data.exportTime) || !Array.isArray(data.glucose) || !Array.isArray(data.pressure)) {
+        throw new Error('备份文件缺少 exportTime、glucose 或 pressure');
+    }
+
+    const records = {};
+    let invalid = 0;
+
+    BACKUP_STORES.forEach(key => {
+        records[key] = [];
+        (Array.isArray(data[key]) ? data[key] : []).forEach(r => {
+            const record = key === MEDICATION_STORE ? sanitizeMedication(r) : sanitizeRecord(METRICS[key], r);
+            if (record) {
+                records[key].push(record);
+            } else {
+                invalid++;
+            }
+        });
+    });
+
+    return { exportTime: data.exportTime, records, invalid, partial: data.partial === true };
+}
+
+// 按去重依据过滤，existing 为已有记录
+function dedupe(storeName, records, existing = []) {
+    const keys = new Set(existing.map(r => recordKey(storeName, r)));
+
+    return records.filter(r => {
+        const key = recordKey(storeName, r);
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    });
+}
+
+// 找出库里还没有的记录（同一文件内的重复也只算一次）
+async function findNewRecords(storeName, records) {
+    const existing = await getAllRecords(storeName);
+    return dedupe(storeName, records, existing);
+}
+
+// 写入导入数据 { 指标: [记录] }，都归当前成员并分配新的 uuid；
+// replace 为 true 时先删除当前成员的全部记录（开启同步时改为打删除标记，让其他设备也删除）
+async function writeImport(recordsByMetric, replace) {
+    const now = new Date().toISOString();
+    // 事务中不能等待加密，先全部加密好
+    const records = {};
+    const sealed = {};
+    for (const key of BACKUP_STORES) {
+        records[key] = (recordsByMetric[key] || []).map(r => ({
+            ...r, profile: currentProfile, uuid: newUuid(), updatedAt: now
+        }));
+        sealed[key] = await Promise.all(records[key].map(r => sealRecord(r)));
+    }
+
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction([...BACKUP_STORES, SYNC_QUEUE_STORE], 'readwrite');
+
+        BACKUP_STORES.forEach(key => {
+            const store = tx.objectStore(key);
+            const add = () => sealed[key].forEach((r, i) => {
+                store.add(r);
+                queueSyncChange(tx, key, records[key][i]);
+            });
+            if (!replace) {
+                add();
+                return;
+            }
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    add();
+                    return;
+                }
+                const record = cursor.value;
+                if ((record.profile || DEFAULT_PROFILE_ID) === currentProfile) {
+                    if (!syncConfig) {
+                        cursor.delete();
+                    } else if (!record.deletedAt) {
+                        record.deletedAt = now;
+                        record.updatedAt = now;
+                        cursor.update(record);
+                        queueSyncChange(tx, key, record);
+                    }
+                }
+                cursor.continue();
+            };
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    requestSync();
+}
+
+function countRecords(recordsByMetric) {
+    return Object.values(recordsByMetric).reduce((sum, list) => sum + list.length, 0);
+}
+
+function chooseImportFile() {
+    const input = document.getElementById('importFile');
+    input.value = '';
+    input.click();
+}
+
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // 血糖仪、血压计 App 导出的表格走 CSV 导入向导
+    if (/\.(csv|txt)$/i.test(file.name)) {
+        handleCsvFile(file);
+        return;
+    }
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (isEncryptedBackup(data)) {
+            showBackupPassphrasePrompt(data);
+            return;
+        }
+        await previewImport(data);
+    } catch (error) {
+        showImportError(error);
+    }
+}
+
+function showImportError(error) {
+    console.error('Import error:', error);
+    const message = error instanceof SyntaxError ? '文件不是有效的 JSON' : error.message;
+    document.getElementById('statusBar').textContent = '导入失败：' + message;
+}
+
+// 加密备份先输入备份密码，解密后和普通备份一样预览
+let pendingEncryptedBackup = null;
+
+function showBackupPassphrasePrompt(envelope) {
+    pendingEncryptedBackup = envelope;
+    showModal(`
+        <h3>加密备份</h3>
+        <p>请输入导出时设置的备份密码。忘记备份密码无法解密这个文件。</p>
+        <label class="form-field">备份密码
+            <input type="password" id="backupPassphrase" autocomplete="current-password">
+        </label>
+        <p class="form-error" id="backupPassphraseError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="submitBackupPassphrase()">解密</button>
+            <button class="quick-btn" onclick="cancelImport()">取消</button>
+        </div>
+    `);
+}
+
+async function submitBackupPassphrase() {
+    const errorEl = document.getElementById('backupPassphraseError');
+    let data;
+    try {
+        errorEl.textContent = '正在解密...';
+        data = await decryptBackup(pendingEncryptedBackup, document.getElementById('backupPassphrase').value);
+    } catch (error) {
+        errorEl.textContent = error instanceof SyntaxError ? '解密后的内容不是有效的备份' : error.message;
+        return;
+    }
+    pendingEncryptedBackup = null;
+    try {
+        await previewImport(data);
+    } catch (error) {
+        closeModal();
+        showImportError(error);
+    }
+}
+
+// 显示导入预览（各项记录数、新增和重复），选择合并或全部替换
+async function previewImport(data) {
+    const backup = data && data.resourceType === 'Bundle' ? fhirBundleToBackup(data) : validateBackup(data);
+    const newLists = await Promise.all(
+        BACKUP_STORES.map(key => findNewRecords(key, backup.records[key] || []))
+    );
+
+    const newRecords = {};
+    BACKUP_STORES.forEach((key, i) => {
+        newRecords[key] = newLists[i];
+    });
+    pendingImport = { backup, newRecords };
+
+    // 血糖血压总是列出，其他指标和用药有数据才列出
+    const lines = BACKUP_STORES
+        .filter(key => (METRICS[key] && METRICS[key].alwaysReport) || (backup.records[key] || []).length > 0)
+        .map(key => {
+            const total = backup.records[key].length;
+            const added = newRecords[key].length;
+            return `<p>${storeLabel(key)} ${total} 条（新增 ${added}，重复 ${total - added}）</p>`;
+        });
+
+    showModal(`
+        <h3>导入备份</h3>
+        <p>备份时间：${new Date(backup.exportTime).toLocaleString('zh-CN')}</p>
+        ${profilePrefix() ? `<p>导入到：${escapeHtml(profileName())}</p>` : ''}
+        ${lines.join('')}
+        ${backup.invalid > 0 ? `<p>格式不正确 ${backup.invalid} 条，将跳过</p>` : ''}
+        ${backup.fhir ? '<p>FHIR 数据只能合并导入</p>' : ''}
+        ${backup.partial && !backup.fhir ? '<p>这是按日期或项目筛选导出的部分数据，只能合并导入</p>' : ''}
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="confirmImport('merge')">合并导入（新增 ${countRecords(newRecords)} 条）</button>
+            ${backup.partial ? '' : `<button class="quick-btn" onclick="confirmImport('replace')">全部替换（共 ${countRecords(backup.records)} 条）</button>`}
+            <button class="quick-btn" onclick="cancelImport()">取消</button>
+        </div>
+    `);
+}
+
+async function confirmImport(mode) {
+    if (!pendingImport) return;
+
+    const { backup, newRecords } = pendingImport;
+    const replace = mode === 'replace';
+
+    if (replace && backup.partial) {
+        return;
+    }
+
+    const owner = profilePrefix() ? `${profileName()}的` : '';
+    if (replace && !confirm(`将删除手机上${owner}现有的全部记录，并用备份内容替换。确定继续吗？`)) {
+        return;
+    }
+
+    try {
+        if (replace) {
+            // 替换模式下备份文件内部的重复也要去掉
+            const records = {};
+            BACKUP_STORES.forEach(key => {
+                records[key] = dedupe(key, backup.records[key] || []);
+            });
+            await writeImport(records, true);
+            document.getElementById('statusBar').textContent = `已替换为备份数据，共 ${countRecords(records)} 条`;
+        } else {
+            await writeImport(newRecords, false);
+            document.getElementById('statusBar').textContent = `导入完成，新增 ${countRecords(newRecords)} 条`;
+        }
+
+        loadHistory(currentTab);
+    } catch (error) {
+        console.error('Import error:', error);
+        document.getElementById('statusBar').textContent = '导入失败';
+    } finally {
+        cancelImport();
+    }
+}
+
+function cancelImport() {
+    pendingImport = null;
+    pendingEncryptedBackup = null;
+    closeModal();
+}
+
+// ============================================================
+// CSV 导入
+// ============================================================
+
+// 当前导入的 CSV：原始内容、识别出的编码和分隔符、表头和数据行
+let pendingCsv = null;
+
+const CSV_DELIMITERS = {
+    ',': '逗号',
+    ';': '分号',
+    '\t': '制表符',
+    '|': '竖线'
+};
+
+const CSV_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    gbk: 'GBK（中文 Windows / WPS）'
+};
+
+// 预览显示的行数
+const CSV_PREVIEW_ROWS = 20;
+
+/**
+ * 可对应的列：日期（或日期时间）、时间、项目、各数值字段、场景、备注。
+ * keywords 用于按表头自动匹配，包含本应用导出的表头和常见血糖仪/血压计导出的表头。
+ */
+const CSV_COLUMN_ROLES = [
+    { key: 'date', label: '日期 / 日期时间', keywords: ['日期', '测量时间', '时间戳', 'date', 'datetime', 'timestamp'] },
+    { key: 'time', label: '时间（与日期分开时）', keywords: ['时间', 'time'] },
+    { key: 'metric', label: '项目', keywords: ['项目', '类型', '指标', 'type', 'metric'] },
+    { key: 'value', label: '数值', keywords: ['数值', '血糖', '结果', 'value', 'glucose', 'result'] },
+    { key: 'systolic', label: '高压', keywords: ['高压', '收缩压', 'sys', 'systolic'] },
+    { key: 'diastolic', label: '低压', keywords: ['低压', '舒张压', 'dia', 'diastolic'] },
+    { key: 'pulse', label: '心率', keywords: ['心率', '脉搏', 'pul', 'pulse', 'heart'] },
+    { key: 'context', label: '场景', keywords: ['场景', '时段', '餐', 'context', 'meal'] },
+    { key: 'notes', label: '备注', keywords: ['备注', 'note', 'comment'] }
+];
+
+// 能按 UTF-8 解码就用 UTF-8，否则按 GBK
+function detectEncoding(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return 'utf-8';
+    } catch (error) {
+        return 'gbk';
+    }
+}
+
+function decodeCsv(buffer, encoding) {
+    return new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+}
+
+// 按前几行判断分隔符：每行数量一致且最多的那个
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 5);
+    let best = ',';
+    let bestCount = 0;
+
+    Object.keys(CSV_DELIMITERS).forEach(delimiter => {
+        const counts = lines.map(line => parseCsv(line, delimiter)[0].length - 1);
+        const consistent = counts.every(count => count === counts[0]);
+        if (consistent && counts[0] > bestCount) {
+            best = delimiter;
+            bestCount = counts[0];
+        }
+    });
+    return best;
+}
+
+// 解析 CSV，支持引号内的分隔符、换行和 "" 转义；跳过空行
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(c => c.trim()))
+        .filter(cells => cells.some(c => c !== ''));
+}
+
+// 按表头猜测各列的含义，一列只对应一个用途
+function guessCsvMapping(header) {
+    const mapping = {};
+    const used = new Set();
+    const normalized = header.map(h => h.toLowerCase());
+
+    CSV_COLUMN_ROLES.forEach(role => {
+        const index = normalized.findIndex((h, i) => !used.has(i) && role.keywords.some(word => h.includes(word)));
+        mapping[role.key] = index;
+        if (index >= 0) used.add(index);
+    });
+    return mapping;
+}
+
+// 没有项目列时的默认项目：只对应了高压低压的是血压表格
+function guessFixedMetric(mapping) {
+    return mapping.systolic >= 0 && mapping.value < 0 ? 'pressure' : 'glucose';
+}
+
+/**
+ * 解析表格里的测量时间，按本地时间处理：
+ * 2024-01-05 07:30、2024/1/5 7:30:00、2024年1月5日 7时30分、2024-01-05T07:30:00Z，
+ * 时间也可以在单独一列。
+ */
+function parseCsvTime(dateText, timeText = '') {
+    const text = `${dateText} ${timeText}`.trim();
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(dateText)) {
+        const date = new Date(dateText);
+        return isNaN(date) ? null : date;
+    }
+
+    const dateMatch = text.match(/(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?/);
+    if (!dateMatch) return null;
+    const rest = text.slice(dateMatch.index + dateMatch[0].length);
+    const timeMatch = rest.match(/(\d{1,2})[:：时](\d{1,2})(?:[:：分](\d{1,2}))?/);
+
+    const date = new Date(
+        Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+        timeMatch ? Number(timeMatch[1]) : 0,
+        timeMatch ? Number(timeMatch[2]) : 0,
+        timeMatch && timeMatch[3] ? Number(timeMatch[3]) : 0
+    );
+    const overflow = date.getMonth() !== Number(dateMatch[2]) - 1 ||
+        (timeMatch && (date.getHours() !== Number(timeMatch[1]) || date.getMinutes() !== Number(timeMatch[2])));
+    if (overflow) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * 按列对应关系把一行转为读数 { row, metricKey, values, recordedAt, notes, error }。
+ * 没有项目列时所有行都按 fixedMetric 处理。
+ */
+function parseCsvRow(cells, rowNumber, mapping, fixedMetric) {
+    const cell = key => (mapping[key] >= 0 ? cells[mapping[key]] || '' : '');
+    const reading = { row: rowNumber, metricKey: fixedMetric, values: null, recordedAt: null, notes: cell('notes') };
+
+    if (mapping.metric >= 0) {
+        reading.metricKey = findMetricInText(cell('metric')) ||
+            METRIC_KEYS.find(key => key === cell('metric').toLowerCase()) || null;
+        if (!reading.metricKey) {
+            reading.error = `无法识别项目"${cell('metric')}"`;
+            return reading;
+        }
+    }
+
+    reading.recordedAt = parseCsvTime(cell('date'), cell('time'));
+    if (!reading.recordedAt) {
+        reading.error = '时间格式无法识别';
+        return reading;
+    }
+    if (reading.recordedAt > new Date()) {
+        reading.error = '测量时间晚于现在';
+        return reading;
+    }
+
+    const metric = METRICS[reading.metricKey];
+    const values = {};
+    for (const field of metric.fields) {
+        const text = cell(field.key);
+        if (text === '') {
+            if (!field.optional) {
+                reading.error = `缺少${field.label}`;
+                return reading;
+            }
+            values[field.key] = null;
+            continue;
+        }
+        const value = parseFloat(text);
+        if (isNaN(value) || !isInRange(field, value)) {
+            reading.error = `${field.label}"${text}"不在 ${field.min}–${field.max} 之间`;
+            return reading;
+        }
+        values[field.key] = value;
+    }
+
+    reading.values = Object.assign(values, metric.parseOptions(cell('context')));
+    return reading;
+}
+
+async function handleCsvFile(file) {
+    try {
+        const buffer = await file.arrayBuffer();
+        const encoding = detectEncoding(buffer);
+        const text = decodeCsv(buffer, encoding);
+        const delimiter = detectDelimiter(text);
+
+        pendingCsv = { buffer, encoding, delimiter, fileName: file.name };
+        loadCsvRows();
+        pendingCsv.mapping = guessCsvMapping(pendingCsv.header);
+        pendingCsv.fixedMetric = guessFixedMetric(pendingCsv.mapping);
+        showCsvWizard();
+    } catch (error) {
+        console.error('CSV import error:', error);
+        document.getElementById('statusBar').textContent = '导入失败：无法读取文件';
+    }
+}
+
+// 按当前编码和分隔符重新解析，第一行为表头
+function loadCsvRows() {
+    const rows = parseCsv(decodeCsv(pendingCsv.buffer, pendingCsv.encoding), pendingCsv.delimiter);
+    pendingCsv.header = rows[0] || [];
+    pendingCsv.rows = rows.slice(1);
+}
+
+function renderCsvSelect(id, options, selected) {
+    return `<select id="${id}" onchange="updateCsvWizard()">
+        ${options.map(([value, label]) =>
+            `<option value="${escapeHtml(value)}"${String(value) === String(selected) ? ' selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('')}
+    </select>`;
+}
+
+function showCsvWizard() {
+    const { encoding, delimiter, header, mapping } = pendingCsv;
+    const columnOptions = [[-1, '（无）'], ...header.map((name, i) => [i, `第${i + 1}列：${name || '无表头'}`])];
+
+    const roleFields = CSV_COLUMN_ROLES.map(role => `
+        <label class="form-field">${role.label}
+            ${renderCsvSelect(`csvRole_${role.key}`, columnOptions, mapping[role.key])}
+        </label>
+    `).join('');
+
+    showModal(`
+        <h3>导入表格</h3>
+        <p>${escapeHtml(pendingCsv.fileName)}，共 ${pendingCsv.rows.length} 行</p>
+        <div class="form-grid">
+            <label class="form-field">编码
+                ${renderCsvSelect('csvEncoding', Object.entries(CSV_ENCODINGS), encoding)}
+            </label>
+            <label class="form-field">分隔符
+                ${renderCsvSelect('csvDelimiter', Object.entries(CSV_DELIMITERS), delimiter)}
+            </label>
+        </div>
+        <label class="form-field">没有项目列时，全部作为
+            ${renderCsvSelect('csvMetric', METRIC_KEYS.map(key => [key, METRICS[key].name]), pendingCsv.fixedMetric)}
+        </label>
+        <div class="form-grid">${roleFields}</div>
+        <div id="csvPreview"></div>
+        <p class="form-error" id="csvError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" id="csvImportBtn" onclick="confirmCsvImport()">导入</button>
+            <button class="quick-btn" onclick="cancelCsvImport()">取消</button>
+        </div>
+    `);
+
+    updateCsvPreview().catch(showCsvPreviewError);
+}
+
+// 编码或分隔符变了要重新解析并重画列选项，其余只更新预览
+function updateCsvWizard() {
+    const encoding = document.getElementById('csvEncoding').value;
+    const delimiter = document.getElementById('csvDelimiter').value;
+    pendingCsv.fixedMetric = document.getElementById('csvMetric').value;
+
+    if (encoding !== pendingCsv.encoding || delimiter !== pendingCsv.delimiter) {
+        pendingCsv.encoding = encoding;
+        pendingCsv.delimiter = delimiter;
+        loadCsvRows();
+        pendingCsv.mapping = guessCsvMapping(pendingCsv.header);
+        pendingCsv.fixedMetric = guessFixedMetric(pendingCsv.mapping);
+        showCsvWizard();
+        return;
+    }
+
+    CSV_COLUMN_ROLES.forEach(role => {
+        pendingCsv.mapping[role.key] = Number(document.getElementById(`csvRole_${role.key}`).value);
+    });
+    updateCsvPreview().catch(showCsvPreviewError);
+}
+
+// 解析全部行，标出错误和重复，显示前几行
+async function updateCsvPreview() {
+    const { rows, mapping, fixedMetric } = pendingCsv;
+    const readings = rows.map((cells, i) => parseCsvRow(cells, i + 2, mapping, fixedMetric));
+
+    // 与库里已有记录和文件内前面的行比较
+    const metricKeys = [...new Set(readings.filter(r => !r.error).map(r => r.metricKey))];
+    const existing = await Promise.all(metricKeys.map(key => getAllRecords(key)));
+    const seen = {};
+    metricKeys.forEach((key, i) => {
+        seen[key] = new Set(existing[i].map(r => recordKey(key, r)));
+    });
+    readings.forEach(reading => {
+        if (reading.error) return;
+        const key = recordKey(reading.metricKey, { ...reading.values, recordedAt: reading.recordedAt.toISOString() });
+        if (seen[reading.metricKey].has(key)) {
+            reading.duplicate = true;
+        }
+        seen[reading.metricKey].add(key);
+    });
+
+    pendingCsv.readings = readings;
+    const valid = readings.filter(r => !r.error && !r.duplicate);
+    const invalid = readings.filter(r => r.error).length;
+    const duplicates = readings.filter(r => r.duplicate).length;
+
+    const previewRows = readings.slice(0, CSV_PREVIEW_ROWS).map(r => {
+        let status = '';
+        let text = '';
+        if (r.error) {
+            status = `❌ ${r.error}`;
+        } else {
+            const metric = METRICS[r.metricKey];
+            text = metric.format(metric.prepare({ ...r.values, recordedAt: r.recordedAt.toISOString() }));
+            status = r.duplicate ? '重复，跳过' : '✓';
+        }
+        const time = r.recordedAt ? toLocalInputValue(r.recordedAt.toISOString()).replace('T', ' ') : '';
+        return `<tr class="${r.error ? 'csv-error' : ''}"><td>${r.row}</td><td>${time}</td><td>${escapeHtml(text)}</td><td>${escapeHtml(status)}</td></tr>`;
+    }).join('');
+
+    document.getElementById('csvPreview').innerHTML = `
+        <p>可导入 ${valid.length} 条，重复 ${duplicates} 条，有错误 ${invalid} 条（跳过）</p>
+        <div class="csv-preview">
+            <table>
+                <thead><tr><th>行</th><th>时间</th><th>读数</th><th>状态</th></tr></thead>
+                <tbody>${previewRows}</tbody>
+            </table>
+        </div>
+        ${readings.length > CSV_PREVIEW_ROWS ? `<p>只显示前 ${CSV_PREVIEW_ROWS} 行</p>` : ''}
+    `;
+
+    const button = document.getElementById('csvImportBtn');
+    button.textContent = `导入 ${valid.length} 条`;
+    button.disabled = valid.length === 0;
+    document.getElementById('csvError').textContent = '';
+}
+
+// 预览失败（如读取已有记录出错）时不能导入，避免用上一次的预览结果
+function showCsvPreviewError(error) {
+    console.error('CSV preview error:', error);
+    if (!pendingCsv) return;
+    pendingCsv.readings = null;
+    document.getElementById('csvImportBtn').disabled = true;
+    document.getElementById('csvError').textContent = `预览失败：${error.message || error}`;
+}
+
+// 和语音、手动录入一样逐条通过 saveReading 保存
+async function confirmCsvImport() {
+    if (!pendingCsv || !pendingCsv.readings) return;
+
+    const readings = pendingCsv.readings.filter(r => !r.error && !r.duplicate);
+    // 逐条保存，中途出错时前面的已经存进去了，告诉用户存了多少条
+    let saved = 0;
+    try {
+        for (const reading of readings) {
+            await saveReading(reading.metricKey, reading.values, reading.notes, reading.recordedAt);
+            saved++;
+        }
+        document.getElementById('statusBar').textContent = `导入完成，新增 ${readings.length} 条`;
+    } catch (error) {
+        console.error('CSV import error:', error);
+        document.getElementById('statusBar').textContent = saved > 0
+            ? `导入中断，已导入 ${saved} 条，其余 ${readings.length - saved} 条未导入，再次导入会跳过已导入的`
+            : '导入失败';
+    } finally {
+        if (saved > 0) {
+            loadHistory(currentTab);
+        }
+        cancelCsvImport();
+    }
+}
+
+function cancelCsvImport() {
+    pendingCsv = null;
+    closeModal();
+}
+
+// ============================================================
+// FHIR 数据交换
+// ============================================================
+
+// FHIR R4：每条读数一个 Observation，打包成 collection 类型的 Bundle
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+const LOINC_BLOOD_PRESSURE = '85354-9';
+const LOINC_SYSTOLIC = '8480-6';
+const LOINC_DIASTOLIC = '8462-4';
+const LOINC_HEART_RATE = '8867-4';
+// 血糖质量浓度（mg/dL），导入时换算成 mmol/L
+const LOINC_GLUCOSE_MASS = '2339-0';
+
+// 单值指标对应的 LOINC 代码和 UCUM 单位；血压单独处理
+const FHIR_OBSERVATIONS = {
+    glucose: { code: '15074-8', display: 'Glucose [Moles/volume] in Blood', unit: 'mmol/L', category: 'laboratory' },
+    weight: { code: '29463-7', display: 'Body weight', unit: 'kg', category: 'vital-signs' },
+    temperature: { code: '8310-5', display: 'Body temperature', unit: 'Cel', category: 'vital-signs' },
+    spo2: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', category: 'vital-signs' },
+    steps: { code: '55423-8', display: 'Number of steps in unspecified time Pedometer', unit: '{steps}', category: 'activity' }
+};
+
+function newUuid() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+function fhirCoding(code, display) {
+    return { system: LOINC_SYSTEM, code, display };
+}
+
+function fhirQuantity(value, unit) {
+    return { value, unit, system: UCUM_SYSTEM, code: unit };
 }
 
-function speak(text) {
-    console.log('准备播报:', text);
+function fhirObservation(category, code, display, record, text) {
+    const observation = {
+        resourceType: 'Observation',
+        status: 'final',
+        category: [{ coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: category }] }],
+        code: { coding: [fhirCoding(code, display)], text },
+        effectiveDateTime: record.recordedAt
+    };
+    if (record.notes) {
+        observation.note = [{ text: record.notes }];
+    }
+    return observation;
+}
 
-    if (!('speechSynthesis' in window)) {
-        console.log('浏览器不支持语音合成');
-        alert(text);
-        return;
+/**
+ * 一条记录转为 Observation 列表。血压用 85354-9 面板，高压低压放在 component；
+ * 带心率时另加一条 8867-4 心率，时间与血压相同。
+ * 血糖测量场景写在 code.text 里（如"空腹血糖"），导入时据此还原。
+ */
+function recordToFhir(metricKey, record) {
+    if (metricKey === 'pressure') {
+        const pressure = fhirObservation('vital-signs', LOINC_BLOOD_PRESSURE, 'Blood pressure panel', record, '血压');
+        pressure.component = [
+            { code: { coding: [fhirCoding(LOINC_SYSTOLIC, 'Systolic blood pressure')] }, valueQuantity: fhirQuantity(record.systolic, 'mm[Hg]') },
+            { code: { coding: [fhirCoding(LOINC_DIASTOLIC, 'Diastolic blood pressure')] }, valueQuantity: fhirQuantity(record.diastolic, 'mm[Hg]') }
+        ];
+        const observations = [pressure];
+        if (record.pulse) {
+            const pulse = fhirObservation('vital-signs', LOINC_HEART_RATE, 'Heart rate', record, '心率');
+            pulse.valueQuantity = fhirQuantity(record.pulse, '/min');
+            observations.push(pulse);
+        }
+        return observations;
     }
 
-    // iOS Safari 特殊处理
-    if (isIOS) {
-        speakIOS(text);
-    } else {
-        speakDefault(text);
+    const metric = METRICS[metricKey];
+    const definition = FHIR_OBSERVATIONS[metricKey];
+    const text = metricKey === 'glucose' ? `${GLUCOSE_CONTEXTS[record.context] || ''}血糖` : metric.name;
+    const observation = fhirObservation(definition.category, definition.code, definition.display, record, text);
+    observation.valueQuantity = fhirQuantity(record.value, definition.unit);
+    return [observation];
+}
+
+// 和 JSON 导出一样分块写入，不限条数
+async function buildFhirExport(metrics, range) {
+    const chunks = [
+        '{\n  "resourceType": "Bundle",\n  "type": "collection",\n' +
+        `  "timestamp": ${JSON.stringify(new Date().toISOString())},\n  "entry": [`
+    ];
+    let count = 0;
+    let first = true;
+
+    for (const key of metrics.filter(key => METRICS[key])) {
+        count += await forEachRecord(key, range.startISO, range.endISO, record => {
+            recordToFhir(key, record).forEach(resource => {
+                const entry = { fullUrl: `urn:uuid:${newUuid()}`, resource };
+                chunks.push((first ? '\n    ' : ',\n    ') + JSON.stringify(entry));
+                first = false;
+            });
+        });
     }
+
+    chunks.push(first ? ']\n}\n' : '\n  ]\n}\n');
+    return { chunks, count };
 }
 
-// iOS Safari 专用播报
-function speakIOS(text) {
-    // iOS 必须先取消，等一下再播
-    speechSynthesis.cancel();
+function hasLoincCode(codeable, code) {
+    return !!codeable && Array.isArray(codeable.coding) &&
+        codeable.coding.some(c => c && c.system === LOINC_SYSTEM && c.code === code);
+}
 
-    setTimeout(() => {
-        const utterance = new SpeechSynthesisUtterance(text);
+function quantityValue(quantity) {
+    return quantity && typeof quantity.value === 'number' ? quantity.value : null;
+}
 
-        // iOS 中文语音设置
-        utterance.lang = 'zh-CN';
-        utterance.rate = 0.9;
-        utterance.pitch = 1.0;
-        utterance.volume = 1.0;
+function componentValue(observation, code) {
+    const component = (observation.component || []).find(c => hasLoincCode(c.code, code));
+    return component ? quantityValue(component.valueQuantity) : null;
+}
 
-        // 尝试使用中文语音
-        if (voices.length > 0) {
-            const zhVoice = voices.find(v =>
-                v.lang === 'zh-CN' ||
-                v.lang === 'zh-TW' ||
-                v.lang.startsWith('zh')
-            );
-            if (zhVoice) {
-                utterance.voice = zhVoice;
-                console.log('使用语音:', zhVoice.name);
-            }
-        }
+// Observation 的共用字段：测量时间和备注；时间无效返回 null
+function fhirRecordBase(observation) {
+    const time = observation.effectiveDateTime ||
+        (observation.effectivePeriod && observation.effectivePeriod.start);
+    if (!isValidTime(time)) return null;
+    const note = Array.isArray(observation.note) && observation.note[0] && observation.note[0].text;
+    return { recordedAt: new Date(time).toISOString(), notes: typeof note === 'string' ? note : '' };
+}
 
-        utterance.onstart = () => {
-            console.log('iOS 开始播报');
-            document.getElementById('statusBar').textContent = '正在播报...';
-        };
+// 单个 Observation 转为 { metricKey, record }，无法识别返回 null
+function fhirToRecord(observation) {
+    const base = fhirRecordBase(observation);
+    if (!base) return null;
 
-        utterance.onend = () => {
-            console.log('iOS 播报结束');
-            document.getElementById('statusBar').textContent = '播报完成';
+    if (hasLoincCode(observation.code, LOINC_BLOOD_PRESSURE)) {
+        return {
+            metricKey: 'pressure',
+            record: {
+                ...base,
+                systolic: componentValue(observation, LOINC_SYSTOLIC),
+                diastolic: componentValue(observation, LOINC_DIASTOLIC),
+                pulse: null
+            }
         };
+    }
 
-        utterance.onerror = (e) => {
-            console.error('iOS 播报错误:', e.error);
-            document.getElementById('statusBar').textContent = '播报失败: ' + e.error;
-        };
+    if (hasLoincCode(observation.code, LOINC_GLUCOSE_MASS)) {
+        const mgdl = quantityValue(observation.valueQuantity);
+        const value = mgdl === null ? null : Math.round(mgdl / GLUCOSE_MG_PER_MMOL * 10) / 10;
+        const context = parseGlucoseContext((observation.code && observation.code.text) || '');
+        return { metricKey: 'glucose', record: { ...base, value, ...(context ? { context } : {}) } };
+    }
 
-        speechSynthesis.speak(utterance);
-    }, 250);
+    const metricKey = Object.keys(FHIR_OBSERVATIONS).find(key => hasLoincCode(observation.code, FHIR_OBSERVATIONS[key].code));
+    if (!metricKey) return null;
+
+    const record = { ...base, value: quantityValue(observation.valueQuantity) };
+    if (metricKey === 'glucose') {
+        const context = parseGlucoseContext((observation.code && observation.code.text) || '');
+        if (context) record.context = context;
+    }
+    return { metricKey, record };
 }
 
-// 默认播报（Android/桌面）
-function speakDefault(text) {
-    speechSynthesis.cancel();
+/**
+ * 把 FHIR Bundle 转为与 validateBackup 相同的结构，走同一个导入预览和合并流程。
+ * 心率 Observation 与同一时间的血压合并为血压记录的心率；无法识别的资源计入 skipped。
+ */
+function fhirBundleToBackup(bundle) {
+    if (!Array.isArray(bundle.entry)) {
+        throw new Error('FHIR Bundle 中没有 entry');
+    }
 
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = 'zh-CN';
-    utterance.rate = 0.9;
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
+    const records = {};
+    METRIC_KEYS.forEach(key => {
+        records[key] = [];
+    });
+    const pulses = {};
+    let invalid = 0;
+    let skipped = 0;
 
-    const zhVoice = voices.find(v => v.lang.includes('zh') || v.lang.includes('CN'));
-    if (zhVoice) {
-        utterance.voice = zhVoice;
-    }
+    bundle.entry.forEach(entry => {
+        const observation = entry && entry.resource;
+        if (!observation || observation.resourceType !== 'Observation') {
+            skipped++;
+            return;
+        }
+        if (hasLoincCode(observation.code, LOINC_HEART_RATE)) {
+            const base = fhirRecordBase(observation);
+            const value = quantityValue(observation.valueQuantity);
+            if (base && value !== null) {
+                pulses[base.recordedAt] = value;
+            }
+            return;
+        }
 
-    utterance.onstart = () => console.log('开始播报');
-    utterance.onend = () => console.log('播报结束');
-    utterance.onerror = (e) => console.error('播报错误:', e);
+        const converted = fhirToRecord(observation);
+        if (!converted) {
+            skipped++;
+            return;
+        }
+        const metric = METRICS[converted.metricKey];
+        const record = sanitizeRecord(metric, converted.record);
+        if (record && isValidReading(metric, record)) {
+            records[converted.metricKey].push(record);
+        } else {
+            invalid++;
+        }
+    });
 
-    setTimeout(() => {
-        speechSynthesis.speak(utterance);
-    }, 100);
+    records.pressure.forEach(record => {
+        const pulse = pulses[record.recordedAt];
+        if (pulse && isInRange(METRICS.pressure.fields.find(f => f.key === 'pulse'), pulse)) {
+            record.pulse = pulse;
+        }
+    });
+
+    return {
+        exportTime: isValidTime(bundle.timestamp) ? bundle.timestamp : new Date().toISOString(),
+        records,
+        invalid: invalid + skipped,
+        partial: true,
+        fhir: true
+    };
 }
 
 // ============================================================
-// 汇总报告
+// 扫码传输
 // ============================================================
 
-async function showSummary(type) {
-    // iOS: 必须在点击事件中先触发一次语音
-    enableSpeech();
+/*
+ * 不经过网络把记录搬到另一部手机：JSON 备份 gzip 压缩（可选加密）后切成若干帧，
+ * 发送方循环播放二维码，接收方用相机扫描（二维码生成和识别在 qr.js），收齐后和导入备份一样预览、合并去重。
+ * 每帧："HPT1|传输编号|序号|总帧数|内容片段"；内容为压缩数据的 Base64，
+ * 加密时为加密备份的 JSON（见 encryptBackup，compression 为 gzip）。
+ */
+const TRANSFER_PREFIX = 'HPT1';
+const TRANSFER_CHUNK_LENGTH = 300;
+// 每帧显示时间，接收方错过的帧下一轮再扫
+const TRANSFER_FRAME_MS = 300;
+// 相机画面缩小到这个宽度再识别，手机上也能每秒识别几次；识别在 Worker（qr-worker.js）里进行，
+// 一帧识别完再等 TRANSFER_SCAN_INTERVAL 取下一帧
+const TRANSFER_SCAN_WIDTH = 640;
+const TRANSFER_SCAN_INTERVAL = 150;
 
-    let speech = '';
-    let days = 7;
-
-    if (type === 'today') {
-        days = 1;
-    } else if (type === '3day') {
-        days = 3;
-    } else if (type === 'weekly') {
-        days = 7;
-    } else if (type === 'latest') {
-        // 最新数据
-        const [latestGlucose, latestPressure] = await Promise.all([
-            getRecent('glucose', 1),
-            getRecent('pressure', 1)
-        ]);
-
-        const parts = [];
-        if (latestGlucose.length > 0) {
-            const g = latestGlucose[0];
-            parts.push(`最近血糖${g.value}，${formatTime(g.recordedAt)}`);
-        } else {
-            parts.push('暂无血糖记录');
-        }
+// 正在发送或接收：发送时 { timer, codes, index }，接收时 { timer, stream, receiver, canvas, worker, pending }
+let transferSession = null;
 
-        if (latestPressure.length > 0) {
-            const p = latestPressure[0];
-            parts.push(`最近血压，高压${p.systolic}，低压${p.diastolic}，${formatTime(p.recordedAt)}`);
-        } else {
-            parts.push('暂无血压记录');
-        }
+function gzipBytes(bytes) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip')))
+        .arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
 
-        speech = parts.join('。') + '。';
-        document.getElementById('result').textContent = speech;
-        speak(speech);
-        return;
-    }
+function gunzipBytes(bytes) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')))
+        .arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
 
-    const stats = await getStats(days);
-    const periodName = type === 'today' ? '今天' : (type === '3day' ? '过去3天' : '过去7天');
+// JSON 备份文字 → 帧列表；给了 passphrase 时加密
+async function encodeTransfer(json, passphrase = null) {
+    const compressed = await gzipBytes(new TextEncoder().encode(json));
+    const payload = passphrase
+        ? JSON.stringify({ ...(await encryptBackup(compressed, passphrase)), compression: 'gzip' })
+        : bytesToBase64(compressed);
+    const id = newUuid().replace(/-/g, '').slice(0, 8);
+    const total = Math.ceil(payload.length / TRANSFER_CHUNK_LENGTH);
+    return Array.from({ length: total }, (_, i) =>
+        [TRANSFER_PREFIX, id, i, total, payload.slice(i * TRANSFER_CHUNK_LENGTH, (i + 1) * TRANSFER_CHUNK_LENGTH)].join('|')
+    );
+}
 
-    const parts = [`${periodName}健康数据汇报。`];
+function createTransferReceiver() {
+    return { id: null, total: 0, chunks: [], received: 0 };
+}
 
-    // 血糖
-    if (stats.glucose.count === 0) {
-        parts.push('没有血糖记录。');
-    } else {
-        parts.push(`血糖共${stats.glucose.count}次，平均${stats.glucose.average}，`);
-        parts.push(`最低${stats.glucose.min}，最高${stats.glucose.max}。`);
+// 收到一帧（扫到的文字），不是传输帧时忽略；扫到另一次传输时重新开始。返回是否已收齐
+function addTransferFrame(receiver, text) {
+    const match = /^HPT1\|(\w+)\|(\d+)\|(\d+)\|(.*)$/s.exec(text || '');
+    if (!match) return false;
+    const [, id, indexText, totalText, chunk] = match;
+    const index = parseInt(indexText, 10);
+    const total = parseInt(totalText, 10);
+    if (total < 1 || index >= total) return false;
+
+    if (receiver.id !== id || receiver.total !== total) {
+        Object.assign(receiver, { id, total, chunks: new Array(total), received: 0 });
+    }
+    if (receiver.chunks[index] === undefined) {
+        receiver.chunks[index] = chunk;
+        receiver.received++;
     }
+    return receiver.received === total;
+}
 
-    // 血压
-    if (stats.pressure.count === 0) {
-        parts.push('没有血压记录。');
-    } else {
-        parts.push(`血压共${stats.pressure.count}次，平均高压${stats.pressure.avgSystolic}，低压${stats.pressure.avgDiastolic}，`);
-        parts.push(`收缩压${stats.pressure.minSystolic}到${stats.pressure.maxSystolic}，`);
-        parts.push(`舒张压${stats.pressure.minDiastolic}到${stats.pressure.maxDiastolic}。`);
+// 收齐后还原：加密的返回加密备份对象（还要输入密码），否则返回备份 JSON 对象
+async function decodeTransfer(receiver) {
+    const payload = receiver.chunks.join('');
+    if (payload.startsWith('{')) {
+        const envelope = JSON.parse(payload);
+        if (!isEncryptedBackup(envelope)) {
+            throw new Error('收到的内容不是备份');
+        }
+        return envelope;
     }
+    const bytes = await gunzipBytes(base64ToBytes(payload));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
 
-    parts.push('以上数据仅供参考。');
+function showTransferOptions() {
+    const supported = typeof CompressionStream !== 'undefined';
+    showModal(`
+        <h3>扫码传输</h3>
+        <p>不用网络和数据线，把${profilePrefix() ? `${escapeHtml(profileName())}的` : ''}记录搬到另一部手机：这部手机显示二维码，另一部手机用相机扫描。</p>
+        ${supported ? '' : '<p class="form-error">这个浏览器不支持压缩，无法扫码传输，请更新浏览器</p>'}
+        <label class="form-check">
+            <input type="checkbox" id="transferEncrypt" onchange="updateTransferEncryption()" checked> 加密（防止旁人拍下二维码）
+        </label>
+        <div id="transferPassphraseFields">
+            <label class="form-field">传输密码（至少 ${MIN_PASSPHRASE_LENGTH} 位，接收时输入）
+                <input type="password" id="transferPassphrase" autocomplete="new-password">
+            </label>
+        </div>
+        <p class="form-error" id="transferError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="startTransferSend()"${supported ? '' : ' disabled'}>📤 发送</button>
+            <button class="quick-btn" onclick="startTransferReceive()"${supported ? '' : ' disabled'}>📷 接收</button>
+            <button class="quick-btn" onclick="closeModal()">取消</button>
+        </div>
+    `);
+}
 
-    speech = parts.join('');
-    document.getElementById('result').textContent = speech;
-    speak(speech);
+function updateTransferEncryption() {
+    document.getElementById('transferPassphraseFields').style.display =
+        document.getElementById('transferEncrypt').checked ? '' : 'none';
 }
 
-// ============================================================
-// 历史记录
-// ============================================================
+async function startTransferSend() {
+    const errorEl = document.getElementById('transferError');
+    let passphrase = null;
+    if (document.getElementById('transferEncrypt').checked) {
+        passphrase = document.getElementById('transferPassphrase').value;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            errorEl.textContent = `传输密码至少 ${MIN_PASSPHRASE_LENGTH} 位`;
+            return;
+        }
+    }
 
-let currentTab = 'glucose';
+    // 二维码只生成一次，循环播放时直接画
+    let codes;
+    try {
+        errorEl.textContent = '正在准备...';
+        const { chunks, count } = await buildJsonExport(BACKUP_STORES, { startISO: null, endISO: null }, false);
+        if (count === 0) {
+            errorEl.textContent = '没有可以传输的记录';
+            return;
+        }
+        const frames = await encodeTransfer(chunks.join(''), passphrase);
+        codes = frames.map(frame => encodeQr(frame));
+    } catch (error) {
+        console.error('Transfer error:', error);
+        errorEl.textContent = '准备失败';
+        return;
+    }
 
-function switchTab(tab) {
-    currentTab = tab;
-    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-    event.target.classList.add('active');
-    loadHistory(tab);
+    showModal(`
+        <h3>📤 发送</h3>
+        <p>在另一部手机上打开「扫码传输」→「接收」，对准下面的二维码，保持不动直到接收完成。</p>
+        <canvas id="transferCanvas" class="transfer-canvas"></canvas>
+        <p id="transferProgress"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="stopTransfer()">完成</button>
+        </div>
+    `);
+    transferSession = { codes, index: 0, timer: null, stream: null };
+    showNextTransferFrame();
 }
 
-async function loadHistory(type = 'glucose') {
-    const records = await getRecent(type, 20);
-    const listEl = document.getElementById('historyList');
+function showNextTransferFrame() {
+    const canvas = document.getElementById('transferCanvas');
+    if (!transferSession || !canvas) return;
+    const { codes, index } = transferSession;
 
-    if (records.length === 0) {
-        listEl.innerHTML = '<div class="empty-state">暂无记录</div>';
-        return;
-    }
+    drawQr(canvas, codes[index]);
+    document.getElementById('transferProgress').textContent = `共 ${codes.length} 帧，正在显示第 ${index + 1} 帧`;
+    // 传输期间不自动锁定
+    lastActiveAt = Date.now();
 
-    listEl.innerHTML = records.map(r => {
-        if (type === 'glucose') {
-            return `
-                <div class="history-item">
-                    <span class="value">血糖 ${r.value} mmol/L</span>
-                    <span class="time">${formatTime(r.recordedAt)}</span>
-                </div>
-            `;
-        } else {
-            return `
-                <div class="history-item">
-                    <span class="value">血压 ${r.systolic}/${r.diastolic}</span>
-                    <span class="time">${formatTime(r.recordedAt)}</span>
-                </div>
-            `;
+    transferSession.index = (index + 1) % codes.length;
+    transferSession.timer = setTimeout(showNextTransferFrame, TRANSFER_FRAME_MS);
+}
+
+// 白底黑模块，四周留 4 个模块的空白
+function drawQr(canvas, qr) {
+    const scale = 4;
+    const width = (qr.size + 8) * scale;
+    canvas.width = width;
+    canvas.height = width;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, width);
+    context.fillStyle = '#000';
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y * qr.size + x]) {
+                context.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+            }
         }
-    }).join('');
+    }
 }
 
-function formatTime(isoTime) {
-    const date = new Date(isoTime);
-    const now = new Date();
-    const diff = now - date;
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
+async function startTransferReceive() {
+    showModal(`
+        <h3>📷 接收</h3>
+        <p>在另一部手机上打开「扫码传输」→「发送」，把它的二维码放在下面的画面中间。</p>
+        <video id="transferVideo" class="transfer-video" playsinline muted></video>
+        <p id="transferProgress">正在打开相机...</p>
+        <p class="form-error" id="transferError"></p>
+        <div class="modal-actions">
+            <button class="quick-btn" onclick="stopTransfer()">取消</button>
+        </div>
+    `);
 
-    if (minutes < 1) return '刚刚';
-    if (minutes < 60) return `${minutes}分钟前`;
-    if (hours < 24) return `${hours}小时前`;
-    if (days === 1) return '昨天';
-    if (days < 7) return `${days}天前`;
-    return `${date.getMonth() + 1}/${date.getDate()}`;
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        document.getElementById('transferError').textContent = '这个浏览器不能使用相机（需要 HTTPS）';
+        return;
+    }
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        const video = document.getElementById('transferVideo');
+        if (!video) {
+            // 打开相机期间已取消
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        transferSession = {
+            stream,
+            receiver: createTransferReceiver(),
+            canvas: document.createElement('canvas'),
+            worker: createQrWorker(),
+            pending: false,
+            timer: null
+        };
+        video.srcObject = stream;
+        await video.play();
+        document.getElementById('transferProgress').textContent = '正在扫描...';
+        scanTransferVideo();
+    } catch (error) {
+        console.error('Camera error:', error);
+        document.getElementById('transferError').textContent = '无法打开相机，请允许使用相机';
+    }
 }
 
-// ============================================================
-// 数据导出
-// ============================================================
+// 识别相机画面的 Worker，识别结果交给 handleTransferScan；浏览器不支持或加载失败时在页面里识别
+function createQrWorker() {
+    if (!('Worker' in window)) return null;
+    try {
+        const worker = new Worker('qr-worker.js');
+        worker.onmessage = (event) => {
+            if (!transferSession) return;
+            transferSession.pending = false;
+            handleTransferScan(event.data);
+        };
+        // 正在识别的那一帧没有结果了，直接取下一帧
+        worker.onerror = (error) => {
+            console.error('QR worker error:', error);
+            worker.terminate();
+            if (transferSession && transferSession.worker === worker) {
+                transferSession.worker = null;
+                if (transferSession.pending) {
+                    transferSession.pending = false;
+                    handleTransferScan(null);
+                }
+            }
+        };
+        return worker;
+    } catch (error) {
+        console.log('QR worker unavailable:', error);
+        return null;
+    }
+}
 
-async function exportData() {
-    const [glucoseRecords, pressureRecords] = await Promise.all([
-        getRecent('glucose', 1000),
-        getRecent('pressure', 1000)
-    ]);
+// 取一帧相机画面识别；Worker 识别期间不再取新画面
+function scanTransferVideo() {
+    const video = document.getElementById('transferVideo');
+    if (!transferSession || !video) return;
+    const { canvas, worker } = transferSession;
+    lastActiveAt = Date.now();
 
-    const data = {
-        exportTime: new Date().toISOString(),
-        glucose: glucoseRecords,
-        pressure: pressureRecords
-    };
+    if (video.readyState < video.HAVE_CURRENT_DATA || video.videoWidth === 0) {
+        transferSession.timer = setTimeout(scanTransferVideo, TRANSFER_SCAN_INTERVAL);
+        return;
+    }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `health_data_${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const scale = Math.min(1, TRANSFER_SCAN_WIDTH / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+    if (worker) {
+        transferSession.pending = true;
+        worker.postMessage(imageData, [imageData.data.buffer]);
+    } else {
+        handleTransferScan(decodeQr(imageData));
+    }
+}
+
+// 一帧识别完：收齐就结束，否则更新进度并安排下一帧
+function handleTransferScan(text) {
+    if (!transferSession || !transferSession.receiver) return;
+    const { receiver } = transferSession;
+
+    if (addTransferFrame(receiver, text)) {
+        finishTransferReceive(receiver);
+        return;
+    }
+    if (receiver.total > 0) {
+        document.getElementById('transferProgress').textContent = `已收到 ${receiver.received} / ${receiver.total} 帧`;
+    }
+    transferSession.timer = setTimeout(scanTransferVideo, TRANSFER_SCAN_INTERVAL);
+}
+
+// 收齐后关掉相机，和导入备份文件一样：加密的先输入密码，再预览、合并或替换
+async function finishTransferReceive(receiver) {
+    stopTransfer();
+    try {
+        const data = await decodeTransfer(receiver);
+        if (isEncryptedBackup(data)) {
+            showBackupPassphrasePrompt(data);
+            return;
+        }
+        await previewImport(data);
+    } catch (error) {
+        showImportError(error);
+    }
+}
 
-    document.getElementById('statusBar').textContent = '数据已导出';
+// 停止发送或接收（关闭相机）并关闭弹窗
+function stopTransfer() {
+    if (transferSession) {
+        clearTimeout(transferSession.timer);
+        if (transferSession.stream) {
+            transferSession.stream.getTracks().forEach(track => track.stop());
+        }
+        if (transferSession.worker) {
+            transferSession.worker.terminate();
+        }
+        transferSession = null;
+    }
+    closeModal();
 }
 
 // ============================================================
@@ -607,23 +6138,53 @@ async function exportData() {
 async function init() {
     try {
         await initDB();
+        // 开启了本地加密时先输入 PIN，解锁后才能读取记录
+        const encrypted = !!(await getSetting('encryption'));
+        if (encrypted) {
+            await requestDataUnlock();
+        }
+        await loadTargets();
+        await loadReminders();
+        await loadProfiles();
+        await loadDrugs();
+        await loadAppLock();
+        await loadSync();
+
+        // 应用锁：先锁定再显示历史；刚输入过本地加密的 PIN 时不再锁定
+        if (appLock && !encrypted) {
+            lockApp();
+        }
         initSpeechRecognition();
         initSpeech();
-        loadHistory('glucose');
+        renderHistoryTabs();
 
-        // 检查 URL 参数自动执行
+        // 检查 URL 参数自动执行；?profile= 先切换成员（代号或称呼都可以）
         const params = new URLSearchParams(window.location.search);
         const action = params.get('action');
+        const profile = params.get('profile') && findProfile(params.get('profile'));
+        if (profile) {
+            currentProfile = profile.id;
+            await saveSetting('currentProfile', profile.id);
+            await loadDrugs();
+        }
+        renderProfileSelect();
+        loadHistory('glucose');
 
         if (action === 'record') {
-            // 显示大按钮覆盖层，等待用户点击
+            // 显示大按钮覆盖层，等待用户点击；锁定时为只写模式
             showAutoRecordOverlay();
-        } else if (action === 'weekly') {
-            showAutoAction('weekly');
-        } else if (action === '3day') {
-            showAutoAction('3day');
-        } else if (action === 'latest') {
-            showAutoAction('latest');
+        } else if (appLocked) {
+            afterUnlock = () => runReportAction(action, params);
+        } else {
+            runReportAction(action, params);
+        }
+
+        // 不等待：Service Worker 没有就绪时不影响其他功能
+        scheduleReminders().catch(error => console.error('Reminder schedule error:', error));
+
+        // 上传离线时的记录、下载其他设备的记录
+        if (syncConfig && navigator.onLine) {
+            syncNow().catch(() => {});
         }
 
     } catch (error) {
@@ -632,6 +6193,18 @@ async function init() {
     }
 }
 
+// 报告类快捷指令：?action=weekly、?action=latest、?action=range&from=2024-01-01&to=2024-01-31
+function runReportAction(action, params) {
+    if (action === 'latest' || REPORT_PERIODS[action]) {
+        showAutoAction(action);
+    } else if (action === 'range') {
+        const range = dateInputRange(params.get('from'), params.get('to'));
+        if (range) {
+            showAutoAction('range', range);
+        }
+    }
+}
+
 // 注册 Service Worker
 if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('sw.js')
@@ -639,6 +6212,43 @@ if ('serviceWorker' in navigator) {
         .catch(err => console.log('SW registration failed:', err));
 }
 
+// 回到应用时检查是否该自动锁定，并刷新漏测提示（应用可能在后台放了很久）
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && db) {
+        checkAutoLock();
+        if (!appLocked) {
+            updateMissedReminders();
+        }
+    }
+});
+
+// 恢复网络时上传离线期间的记录
+window.addEventListener('online', () => {
+    if (db && syncConfig) {
+        syncNow().catch(() => {});
+    }
+});
+
+// Service Worker 后台同步下载了新记录
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'synced' && db) {
+            loadHistory(currentTab);
+        }
+    });
+}
+
+// 应用锁的无操作计时
+['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, () => {
+        checkAutoLock();
+        if (!appLocked) {
+            lastActiveAt = Date.now();
+        }
+    }, true);
+});
+setInterval(checkAutoLock, 30000);
+
 // 自动录音覆盖层
 function showAutoRecordOverlay() {
     const overlay = document.getElementById('autoRecordOverlay');
@@ -652,9 +6262,10 @@ function startAutoRecord() {
     // 启用语音
     enableSpeech();
 
-    // 初始化语音识别
+    // 初始化语音识别，不支持时改为手动录入
     if (!recognition && !initSpeechRecognition()) {
         overlay.style.display = 'none';
+        showManualEntry();
         return;
     }
 
@@ -723,30 +6334,18 @@ async function processAutoVoiceInput(text, overlay) {
         return;
     }
 
-    const savedParts = [];
-
     try {
-        if (parsed.bloodSugar) {
-            await saveGlucose(parsed.bloodSugar, text);
-            savedParts.push(`血糖${parsed.bloodSugar}`);
-        }
-
-        if (parsed.systolic && parsed.diastolic) {
-            await savePressure(parsed.systolic, parsed.diastolic, text);
-            savedParts.push(`血压${parsed.systolic}，${parsed.diastolic}`);
-        }
-
-        const speechText = '好的，已记录' + savedParts.join('，') + '。';
+        const { speech, summary } = await handleParsedInput(parsed, text);
 
         // 显示成功
         content.innerHTML = `
             <div class="big-mic">✅</div>
-            <p>记录成功</p>
-            <p class="hint">${savedParts.join('，')}</p>
+            <p>${parsed.command ? '已处理' : '记录成功'}</p>
+            <p class="hint">${summary}</p>
         `;
 
         // 语音播报
-        speak(speechText);
+        speak(speech);
 
         // 刷新历史列表
         loadHistory(currentTab);
@@ -775,20 +6374,31 @@ async function processAutoVoiceInput(text, overlay) {
 }
 
 // 自动执行操作（显示提示后执行）
-function showAutoAction(type) {
+function showAutoAction(type, range) {
     const overlay = document.getElementById('autoRecordOverlay');
     const content = overlay.querySelector('.auto-record-content');
 
+    let label = '最新数据';
+    if (type === 'range') {
+        label = `${formatDateRange(range)}的报告`;
+    } else if (REPORT_PERIODS[type]) {
+        label = REPORT_PERIODS[type].label;
+    }
+
     content.innerHTML = `
         <div class="big-mic">📊</div>
-        <p>轻触屏幕播报${type === 'weekly' ? '周报' : type === '3day' ? '三日报' : '最新数据'}</p>
+        <p>轻触屏幕播报${label}</p>
     `;
 
     overlay.style.display = 'flex';
     overlay.onclick = () => {
         enableSpeech();
         overlay.style.display = 'none';
-        showSummary(type);
+        if (type === 'range') {
+            showRangeSummary(range);
+        } else {
+            showSummary(type);
+        }
     };
 }
 
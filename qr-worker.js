@@ -0,0 +1,11 @@
+/**
+ * 二维码识别 Worker - 扫码传输接收时在后台识别相机画面，识别期间界面不卡顿（见 app.js scanTransferVideo）
+ *
+ * 收到 imageData（{ width, height, data }，与 canvas 的 getImageData 相同），
+ * 回复识别出的文字，读不出时回复 null。
+ */
+importScripts('qr.js');
+
+self.onmessage = (event) => {
+    self.postMessage(decodeQr(event.data));
+};
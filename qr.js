@@ -0,0 +1,951 @@
+/**
+ * 二维码生成和识别 - 扫码传输用（见 app.js「扫码传输」）
+ *
+ * 不依赖外部库，离线可用；不访问页面，可以在 Node 中用合成的图像测试。
+ * 只支持 1–20 版（边长 21–97 个模块），手机屏幕上再大就很难扫清楚。
+ *
+ * 生成：encodeQr(text) → { size, modules }，modules[y * size + x] 为 1 表示黑色模块。
+ * 识别：decodeQr(imageData) → 文字，找不到或读不出时返回 null。
+ * imageData 为 { width, height, data }（RGBA，与 canvas 的 getImageData 相同）。
+ */
+
+const QR_MAX_VERSION = 20;
+
+// 纠错等级在格式信息中的编码
+const QR_EC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// 各版本、纠错等级的分块：[块数, 每块码字数, 每块数据码字数]，有两组时接着写第二组
+const QR_BLOCKS = [
+    null,
+    { L: [1, 26, 19], M: [1, 26, 16], Q: [1, 26, 13], H: [1, 26, 9] },
+    { L: [1, 44, 34], M: [1, 44, 28], Q: [1, 44, 22], H: [1, 44, 16] },
+    { L: [1, 70, 55], M: [1, 70, 44], Q: [2, 35, 17], H: [2, 35, 13] },
+    { L: [1, 100, 80], M: [2, 50, 32], Q: [2, 50, 24], H: [4, 25, 9] },
+    { L: [1, 134, 108], M: [2, 67, 43], Q: [2, 33, 15, 2, 34, 16], H: [2, 33, 11, 2, 34, 12] },
+    { L: [2, 86, 68], M: [4, 43, 27], Q: [4, 43, 19], H: [4, 43, 15] },
+    { L: [2, 98, 78], M: [4, 49, 31], Q: [2, 32, 14, 4, 33, 15], H: [4, 39, 13, 1, 40, 14] },
+    { L: [2, 121, 97], M: [2, 60, 38, 2, 61, 39], Q: [4, 40, 18, 2, 41, 19], H: [4, 40, 14, 2, 41, 15] },
+    { L: [2, 146, 116], M: [3, 58, 36, 2, 59, 37], Q: [4, 36, 16, 4, 37, 17], H: [4, 36, 12, 4, 37, 13] },
+    { L: [2, 86, 68, 2, 87, 69], M: [4, 69, 43, 1, 70, 44], Q: [6, 43, 19, 2, 44, 20], H: [6, 43, 15, 2, 44, 16] },
+    { L: [4, 101, 81], M: [1, 80, 50, 4, 81, 51], Q: [4, 50, 22, 4, 51, 23], H: [3, 36, 12, 8, 37, 13] },
+    { L: [2, 116, 92, 2, 117, 93], M: [6, 58, 36, 2, 59, 37], Q: [4, 46, 20, 6, 47, 21], H: [7, 42, 14, 4, 43, 15] },
+    { L: [4, 133, 107], M: [8, 59, 37, 1, 60, 38], Q: [8, 44, 20, 4, 45, 21], H: [12, 33, 11, 4, 34, 12] },
+    { L: [3, 145, 115, 1, 146, 116], M: [4, 64, 40, 5, 65, 41], Q: [11, 36, 16, 5, 37, 17], H: [11, 36, 12, 5, 37, 13] },
+    { L: [5, 109, 87, 1, 110, 88], M: [5, 65, 41, 5, 66, 42], Q: [5, 54, 24, 7, 55, 25], H: [11, 36, 12, 7, 37, 13] },
+    { L: [5, 122, 98, 1, 123, 99], M: [7, 73, 45, 3, 74, 46], Q: [15, 43, 19, 2, 44, 20], H: [3, 45, 15, 13, 46, 16] },
+    { L: [1, 135, 107, 5, 136, 108], M: [10, 74, 46, 1, 75, 47], Q: [1, 50, 22, 15, 51, 23], H: [2, 42, 14, 17, 43, 15] },
+    { L: [5, 150, 120, 1, 151, 121], M: [9, 69, 43, 4, 70, 44], Q: [17, 50, 22, 1, 51, 23], H: [2, 42, 14, 19, 43, 15] },
+    { L: [3, 141, 113, 4, 142, 114], M: [3, 70, 44, 11, 71, 45], Q: [17, 47, 21, 4, 48, 22], H: [9, 39, 13, 16, 40, 14] },
+    { L: [3, 135, 107, 5, 136, 108], M: [3, 67, 41, 13, 68, 42], Q: [15, 54, 24, 5, 55, 25], H: [15, 43, 15, 10, 44, 16] }
+];
+
+// 八种掩模，x 为列、y 为行，返回 true 的模块取反
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// 识别时最多试几个校正图案候选
+const QR_ALIGNMENT_TRIES = 5;
+
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// ============================================================
+// GF(256) 和 Reed-Solomon 纠错
+// ============================================================
+
+const QR_EXP = new Uint8Array(512);
+const QR_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    QR_EXP[i] = x;
+    QR_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+    QR_EXP[i] = QR_EXP[i - 255];
+}
+
+function qrMul(a, b) {
+    return a && b ? QR_EXP[QR_LOG[a] + QR_LOG[b]] : 0;
+}
+
+function qrDiv(a, b) {
+    return a ? QR_EXP[QR_LOG[a] + 255 - QR_LOG[b]] : 0;
+}
+
+// 多项式按低次在前存放，在 x 处求值
+function qrEvaluate(poly, x) {
+    let value = 0;
+    for (let i = poly.length - 1; i >= 0; i--) {
+        value = qrMul(value, x) ^ poly[i];
+    }
+    return value;
+}
+
+// 码字（高次在前）在 α^0 … α^(count-1) 处的值，全为 0 表示没有错误
+function qrSyndromes(codewords, count) {
+    const syndromes = [];
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        codewords.forEach(c => {
+            value = qrMul(value, QR_EXP[i]) ^ c;
+        });
+        syndromes.push(value);
+    }
+    return syndromes;
+}
+
+// 数据码字后的纠错码字：数据多项式除以生成多项式 (x - α^0)…(x - α^(degree-1)) 的余数
+function qrEcCodewords(data, degree) {
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((c, j) => {
+            next[j] ^= c;
+            next[j + 1] ^= qrMul(c, QR_EXP[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= qrMul(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// 纠正一个块（数据 + 纠错码字）的错误，最多纠正纠错码字数一半的错误；纠不了返回 null
+function qrCorrect(codewords, ecCount) {
+    const syndromes = qrSyndromes(codewords, ecCount);
+    if (syndromes.every(s => s === 0)) {
+        return codewords;
+    }
+
+    // Berlekamp-Massey 求错误位置多项式
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    for (let n = 0; n < ecCount; n++) {
+        let discrepancy = syndromes[n];
+        for (let i = 1; i <= errors; i++) {
+            discrepancy ^= qrMul(locator[i] || 0, syndromes[n - i]);
+        }
+        if (discrepancy === 0) {
+            shift++;
+            continue;
+        }
+        const factor = qrDiv(discrepancy, lastDiscrepancy);
+        const next = locator.slice();
+        while (next.length < previous.length + shift) next.push(0);
+        previous.forEach((c, i) => {
+            next[i + shift] ^= qrMul(factor, c);
+        });
+        if (2 * errors <= n) {
+            previous = locator;
+            errors = n + 1 - errors;
+            lastDiscrepancy = discrepancy;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = next;
+    }
+    if (errors * 2 > ecCount) {
+        return null;
+    }
+
+    // Chien 搜索：错误在次数 j 处时 locator(α^-j) = 0
+    const n = codewords.length;
+    const positions = [];
+    for (let j = 0; j < n; j++) {
+        if (qrEvaluate(locator, QR_EXP[(255 - j) % 255]) === 0) {
+            positions.push(j);
+        }
+    }
+    if (positions.length !== errors) {
+        return null;
+    }
+
+    // Forney 算法求错误值
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+        for (let k = 0; k <= i && k < locator.length; k++) {
+            evaluator[i] ^= qrMul(locator[k], syndromes[i - k]);
+        }
+    }
+    const derivative = locator.map((c, i) => (i % 2 === 1 ? c : 0)).slice(1);
+    const corrected = Uint8Array.from(codewords);
+    for (const j of positions) {
+        const inverse = QR_EXP[(255 - j) % 255];
+        const denominator = qrEvaluate(derivative, inverse);
+        if (denominator === 0) {
+            return null;
+        }
+        corrected[n - 1 - j] ^= qrMul(QR_EXP[j], qrDiv(qrEvaluate(evaluator, inverse), denominator));
+    }
+
+    return qrSyndromes(corrected, ecCount).every(s => s === 0) ? corrected : null;
+}
+
+// ============================================================
+// 模块布局（生成和识别共用）
+// ============================================================
+
+function qrBlockLayout(version, level) {
+    const spec = QR_BLOCKS[version][level];
+    const blocks = [];
+    for (let g = 0; g < spec.length; g += 3) {
+        for (let i = 0; i < spec[g]; i++) {
+            blocks.push({ total: spec[g + 1], data: spec[g + 2] });
+        }
+    }
+    return blocks;
+}
+
+function qrDataCapacity(version, level) {
+    return qrBlockLayout(version, level).reduce((sum, block) => sum + block.data, 0);
+}
+
+// 校正图案中心的行列坐标
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+// 格式信息两份的位置 [x, y]，第 i 个对应第 i 位（低位在前）
+function qrFormatPositions(size) {
+    const first = [];
+    const second = [];
+    for (let i = 0; i < 15; i++) {
+        if (i < 6) first.push([8, i]);
+        else if (i === 6) first.push([8, 7]);
+        else if (i === 7) first.push([8, 8]);
+        else if (i === 8) first.push([7, 8]);
+        else first.push([14 - i, 8]);
+
+        second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i]);
+    }
+    return [first, second];
+}
+
+// 纠错等级和掩模的 15 位格式信息（BCH 编码）
+function qrFormatBits(level, mask) {
+    const data = QR_EC_LEVELS[level] << 3 | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return (data << 10 | remainder) ^ 0x5412;
+}
+
+// 定位、时序、校正图案和版本信息画好，格式信息的位置先占住；reserved 为 1 的模块不放数据
+function qrBaseMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = new Uint8Array(size * size);
+    const reserved = new Uint8Array(size * size);
+    const set = (x, y, dark) => {
+        modules[y * size + x] = dark ? 1 : 0;
+        reserved[y * size + x] = 1;
+    };
+
+    // 定位图案（含一圈白色分隔符）
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const ring = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+
+    // 时序图案
+    for (let i = 8; i < size - 8; i++) {
+        set(i, 6, i % 2 === 0);
+        set(6, i, i % 2 === 0);
+    }
+
+    // 校正图案，跳过与定位图案重叠的三个角
+    const positions = qrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    qrFormatPositions(size).forEach(copy => copy.forEach(([x, y]) => set(x, y, false)));
+    set(8, size - 8, true);
+
+    // 7 版起有两份版本信息（BCH 编码）
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = version << 12 | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = (bits >>> i) & 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+// 数据模块的放置顺序：从右下角起两列一组，上下来回
+function qrPlacement(size, reserved) {
+    const order = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < size; vert++) {
+            const y = upward ? size - 1 - vert : vert;
+            for (let x = right; x > right - 2; x--) {
+                if (!reserved[y * size + x]) {
+                    order.push(y * size + x);
+                }
+            }
+        }
+    }
+    return order;
+}
+
+function qrApplyMask(modules, size, reserved, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y * size + x] && QR_MASKS[mask](x, y)) {
+                modules[y * size + x] ^= 1;
+            }
+        }
+    }
+}
+
+// ============================================================
+// 生成
+// ============================================================
+
+// 字节模式的数据码字，分块加上纠错码字后交织
+function qrCodewords(bytes, version, level) {
+    const blocks = qrBlockLayout(version, level);
+    const capacity = qrDataCapacity(version, level);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(4, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => byte << 1 | bit, 0));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+
+    let offset = 0;
+    const split = blocks.map(block => {
+        const blockData = data.slice(offset, offset + block.data);
+        offset += block.data;
+        return { data: blockData, ec: qrEcCodewords(blockData, block.total - block.data) };
+    });
+
+    const result = [];
+    const maxData = Math.max(...blocks.map(block => block.data));
+    for (let i = 0; i < maxData; i++) {
+        split.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < split[0].ec.length; i++) {
+        split.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+// 掩模评分（越低越好）：长串同色、2×2 同色块、类似定位图案的排列、黑白比例
+function qrPenalty(modules, size) {
+    let penalty = 0;
+
+    for (let i = 0; i < size; i++) {
+        const row = [];
+        const column = [];
+        for (let j = 0; j < size; j++) {
+            row.push(modules[i * size + j]);
+            column.push(modules[j * size + i]);
+        }
+        [row, column].forEach(line => {
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+            penalty += 40 * (line.join('').match(/(?=10111010000|00001011101)/g) || []).length;
+        });
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const value = modules[y * size + x];
+            dark += value;
+            if (x < size - 1 && y < size - 1 && value === modules[y * size + x + 1] &&
+                value === modules[(y + 1) * size + x] && value === modules[(y + 1) * size + x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+    const total = size * size;
+    penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
+
+/**
+ * 生成二维码（字节模式，UTF-8），自动选用能放下的最小版本和评分最低的掩模。
+ * 内容超过 20 版的容量时抛出错误。
+ */
+function encodeQr(text, level = 'M') {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= QR_MAX_VERSION &&
+        4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCapacity(version, level) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('内容太长，一个二维码放不下');
+    }
+
+    const codewords = qrCodewords(bytes, version, level);
+    const { size, modules, reserved } = qrBaseMatrix(version);
+    qrPlacement(size, reserved).forEach((index, i) => {
+        modules[index] = i < codewords.length * 8 ? (codewords[i >> 3] >> (7 - (i & 7))) & 1 : 0;
+    });
+
+    let best = null;
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        const candidate = Uint8Array.from(modules);
+        qrApplyMask(candidate, size, reserved, mask);
+        const format = qrFormatBits(level, mask);
+        qrFormatPositions(size).forEach(copy => copy.forEach(([x, y], i) => {
+            candidate[y * size + x] = (format >>> i) & 1;
+        }));
+        const penalty = qrPenalty(candidate, size);
+        if (!best || penalty < best.penalty) {
+            best = { penalty, modules: candidate };
+        }
+    }
+
+    return { version, size, modules: best.modules };
+}
+
+// ============================================================
+// 识别
+// ============================================================
+
+// 灰度后按 8×8 区域自适应取阈值（适应屏幕反光、明暗不均），返回 bits[y * width + x]，1 为黑
+function qrBinarize(imageData) {
+    const { width, height, data } = imageData;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+    }
+
+    const region = 8;
+    const columns = Math.ceil(width / region);
+    const rows = Math.ceil(height / region);
+    const blackPoints = new Float32Array(columns * rows);
+    for (let by = 0; by < rows; by++) {
+        for (let bx = 0; bx < columns; bx++) {
+            let min = 255;
+            let max = 0;
+            let sum = 0;
+            let count = 0;
+            for (let y = by * region; y < Math.min(height, (by + 1) * region); y++) {
+                for (let x = bx * region; x < Math.min(width, (bx + 1) * region); x++) {
+                    const value = gray[y * width + x];
+                    sum += value;
+                    count++;
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+            let average = sum / count;
+            // 几乎同色的区域：多半是白底，参考左边和上边的区域
+            if (max - min <= 24) {
+                average = min / 2;
+                if (by > 0 && bx > 0) {
+                    const neighbors = (blackPoints[(by - 1) * columns + bx] + 2 * blackPoints[by * columns + bx - 1] +
+                        blackPoints[(by - 1) * columns + bx - 1]) / 4;
+                    if (min < neighbors) average = neighbors;
+                }
+            }
+            blackPoints[by * columns + bx] = average;
+        }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < rows; by++) {
+        for (let bx = 0; bx < columns; bx++) {
+            let sum = 0;
+            let count = 0;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    const ny = Math.min(rows - 1, Math.max(0, by + dy));
+                    const nx = Math.min(columns - 1, Math.max(0, bx + dx));
+                    sum += blackPoints[ny * columns + nx];
+                    count++;
+                }
+            }
+            const threshold = sum / count;
+            for (let y = by * region; y < Math.min(height, (by + 1) * region); y++) {
+                for (let x = bx * region; x < Math.min(width, (bx + 1) * region); x++) {
+                    bits[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    return { width, height, bits };
+}
+
+// 各段长度是否符合比例（定位图案 1:1:3:1:1，校正图案 1:1:1:1:1）
+function qrMatchesRatio(lengths, ratio) {
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    const unit = total / ratio.reduce((sum, r) => sum + r, 0);
+    if (unit < 1) return false;
+    return lengths.every((length, i) => Math.abs(length - ratio[i] * unit) < ratio[i] * unit * 0.5 + 0.5);
+}
+
+/**
+ * 从黑色像素 (x, y) 沿 ±(dx, dy) 数出中间的黑段和两边各 side 段，
+ * 返回 { lengths, center }，center 为中间黑段的中心在这条线上相对 (x, y) 的偏移；数不全时返回 null。
+ */
+function qrLineRuns(image, x, y, dx, dy, side) {
+    const { width, height, bits } = image;
+    x = Math.floor(x);
+    y = Math.floor(y);
+    if (x < 0 || y < 0 || x >= width || y >= height || !bits[y * width + x]) {
+        return null;
+    }
+
+    const walk = (sx, sy, skipStart) => {
+        const runs = [0];
+        let color = 1;
+        let px = skipStart ? x + sx : x;
+        let py = skipStart ? y + sy : y;
+        for (; ; px += sx, py += sy) {
+            const inside = px >= 0 && py >= 0 && px < width && py < height;
+            if (inside && bits[py * width + px] === color) {
+                runs[runs.length - 1]++;
+            } else if (!inside || runs.length === side + 1) {
+                break;
+            } else {
+                runs.push(1);
+                color ^= 1;
+            }
+        }
+        return runs.length === side + 1 ? runs : null;
+    };
+
+    const forward = walk(dx, dy, false);
+    const backward = walk(-dx, -dy, true);
+    if (!forward || !backward) {
+        return null;
+    }
+    return {
+        lengths: [...backward.slice(1).reverse(), backward[0] + forward[0], ...forward.slice(1)],
+        center: (forward[0] - backward[0]) / 2
+    };
+}
+
+// 逐行找 1:1:3:1:1 的黑白段，纵向和横向再核对一次，相近的合并；count 为被扫到的次数
+function qrFindFinders(image) {
+    const { width, height, bits } = image;
+    const found = [];
+
+    for (let y = 0; y < height; y++) {
+        const runs = [];
+        let start = 0;
+        for (let x = 1; x <= width; x++) {
+            if (x === width || bits[y * width + x] !== bits[y * width + start]) {
+                runs.push({ start, length: x - start, dark: bits[y * width + start] });
+                start = x;
+            }
+        }
+
+        for (let i = 0; i + 4 < runs.length; i++) {
+            if (!runs[i].dark) continue;
+            const lengths = runs.slice(i, i + 5).map(run => run.length);
+            if (!qrMatchesRatio(lengths, [1, 1, 3, 1, 1])) continue;
+
+            const cx = runs[i + 2].start + runs[i + 2].length / 2;
+            const vertical = qrLineRuns(image, cx, y, 0, 1, 2);
+            if (!vertical || !qrMatchesRatio(vertical.lengths, [1, 1, 3, 1, 1])) continue;
+            const cy = y + vertical.center;
+            const horizontal = qrLineRuns(image, cx, cy, 1, 0, 2);
+            if (!horizontal || !qrMatchesRatio(horizontal.lengths, [1, 1, 3, 1, 1])) continue;
+
+            const size = (horizontal.lengths.reduce((a, b) => a + b) + vertical.lengths.reduce((a, b) => a + b)) / 14;
+            const point = { x: Math.floor(cx) + horizontal.center, y: cy, size };
+            const cluster = found.find(f =>
+                Math.abs(f.x - point.x) < f.size * 2 && Math.abs(f.y - point.y) < f.size * 2 &&
+                Math.abs(f.size - point.size) < f.size * 0.5);
+            if (cluster) {
+                cluster.x = (cluster.x * cluster.count + point.x) / (cluster.count + 1);
+                cluster.y = (cluster.y * cluster.count + point.y) / (cluster.count + 1);
+                cluster.size = (cluster.size * cluster.count + point.size) / (cluster.count + 1);
+                cluster.count++;
+            } else {
+                found.push({ ...point, count: 1 });
+            }
+        }
+    }
+
+    return found.filter(f => f.count >= 2).sort((a, b) => b.count - a.count).slice(0, 8);
+}
+
+function qrDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// 从候选中挑出最像直角等腰三角形的三个，返回 { topLeft, topRight, bottomLeft }
+function qrPickFinders(finders) {
+    let best = null;
+    for (let i = 0; i < finders.length; i++) {
+        for (let j = i + 1; j < finders.length; j++) {
+            for (let k = j + 1; k < finders.length; k++) {
+                const points = [finders[i], finders[j], finders[k]];
+                const sizes = points.map(p => p.size);
+                if (Math.max(...sizes) > Math.min(...sizes) * 1.5) continue;
+
+                // 最长边对面的是左上角
+                const sides = [[0, 1, 2], [1, 2, 0], [0, 2, 1]].map(([a, b, corner]) => ({
+                    length: qrDistance(points[a], points[b]), a: points[a], b: points[b], corner: points[corner]
+                })).sort((x, y) => y.length - x.length);
+                const { a, b, corner } = sides[0];
+                const legA = qrDistance(corner, a);
+                const legB = qrDistance(corner, b);
+                const legRatio = Math.abs(legA - legB) / Math.max(legA, legB);
+                const angleError = Math.abs(sides[0].length - Math.hypot(legA, legB)) / sides[0].length;
+                if (legRatio > 0.3 || angleError > 0.15) continue;
+
+                // 真正的定位图案中间有 3 个模块高，会被很多行扫到；只被几行扫到的多半是数据中的巧合
+                const score = legRatio + angleError + 2 / Math.min(...points.map(p => p.count));
+                if (!best || score < best.score) {
+                    // 图像坐标 y 向下：右上角 × 左下角的叉积为正
+                    const cross = (a.x - corner.x) * (b.y - corner.y) - (a.y - corner.y) * (b.x - corner.x);
+                    best = cross > 0
+                        ? { score, topLeft: corner, topRight: a, bottomLeft: b }
+                        : { score, topLeft: corner, topRight: b, bottomLeft: a };
+                }
+            }
+        }
+    }
+    return best;
+}
+
+// 3×3 矩阵（行向量乘矩阵）：单位正方形 → 四边形 (0,0) (1,0) (1,1) (0,1)
+function qrSquareToQuad(q) {
+    const [x0, y0, x1, y1, x2, y2, x3, y3] = q;
+    const dx3 = x0 - x1 + x2 - x3;
+    const dy3 = y0 - y1 + y2 - y3;
+    if (dx3 === 0 && dy3 === 0) {
+        return [x1 - x0, y1 - y0, 0, x2 - x1, y2 - y1, 0, x0, y0, 1];
+    }
+    const dx1 = x1 - x2;
+    const dx2 = x3 - x2;
+    const dy1 = y1 - y2;
+    const dy2 = y3 - y2;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+    const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+    return [
+        x1 - x0 + a13 * x1, y1 - y0 + a13 * y1, a13,
+        x3 - x0 + a23 * x3, y3 - y0 + a23 * y3, a23,
+        x0, y0, 1
+    ];
+}
+
+function qrAdjoint(m) {
+    return [
+        m[4] * m[8] - m[5] * m[7], m[2] * m[7] - m[1] * m[8], m[1] * m[5] - m[2] * m[4],
+        m[5] * m[6] - m[3] * m[8], m[0] * m[8] - m[2] * m[6], m[2] * m[3] - m[0] * m[5],
+        m[3] * m[7] - m[4] * m[6], m[1] * m[6] - m[0] * m[7], m[0] * m[4] - m[1] * m[3]
+    ];
+}
+
+function qrMultiply(a, b) {
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            result.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+        }
+    }
+    return result;
+}
+
+// 透视变换：模块坐标系的四个点 from 对应图像上的四个点 to，返回坐标变换函数
+function qrPerspective(from, to) {
+    const m = qrMultiply(qrAdjoint(qrSquareToQuad(from)), qrSquareToQuad(to));
+    return (x, y) => {
+        const w = m[2] * x + m[5] * y + m[8];
+        return { x: (m[0] * x + m[3] * y + m[6]) / w, y: (m[1] * x + m[4] * y + m[7]) / w };
+    };
+}
+
+// 校正图案中心的黑模块和一圈白模块 1:1:1，外圈是黑的（外圈常与旁边的黑模块连在一起，只看有没有）
+function qrAlignmentRuns(image, x, y, dx, dy) {
+    const runs = qrLineRuns(image, x, y, dx, dy, 2);
+    if (!runs) return null;
+    const inner = runs.lengths.slice(1, 4);
+    const unit = inner.reduce((a, b) => a + b) / 3;
+    if (!qrMatchesRatio(inner, [1, 1, 1]) || runs.lengths[0] < unit / 2 || runs.lengths[4] < unit / 2) {
+        return null;
+    }
+    return { center: runs.center, unit };
+}
+
+// 在预计位置附近找右下角的校正图案，按离预计位置由近到远返回候选（相近的合并）。
+// 透视变形大时真正的校正图案离预计位置较远，较近的可能是数据中碰巧相似的排列，由调用方逐个试
+function qrFindAlignments(image, expected, moduleSize) {
+    const radius = Math.ceil(moduleSize * 16);
+    const step = Math.max(1, Math.floor(moduleSize / 2));
+    const found = [];
+    for (let y = Math.round(expected.y) - radius; y <= expected.y + radius; y += step) {
+        for (let x = Math.round(expected.x) - radius; x <= expected.x + radius; x += step) {
+            const horizontal = qrAlignmentRuns(image, x, y, 1, 0);
+            if (!horizontal) continue;
+            const cx = x + horizontal.center;
+            const vertical = qrAlignmentRuns(image, cx, y, 0, 1);
+            if (!vertical) continue;
+
+            const size = (horizontal.unit + vertical.unit) / 2;
+            if (Math.abs(size - moduleSize) > moduleSize * 0.5) continue;
+            const point = { x: cx, y: y + vertical.center };
+            // 两条对角线上也要是一圈白、外圈黑，排除数据中碰巧相似的排列
+            if (!qrAlignmentRuns(image, point.x, point.y, 1, 1) || !qrAlignmentRuns(image, point.x, point.y, 1, -1)) continue;
+            if (!found.some(f => qrDistance(f, point) < moduleSize)) {
+                found.push({ ...point, distance: qrDistance(point, expected) });
+            }
+        }
+    }
+    return found.sort((a, b) => a.distance - b.distance);
+}
+
+// 两份格式信息中与合法编码最接近的（最多错 3 位），返回 { level, mask }
+function qrReadFormat(modules, size) {
+    const copies = qrFormatPositions(size).map(copy =>
+        copy.reduce((bits, [x, y], i) => bits | modules[y * size + x] << i, 0));
+    let best = null;
+    Object.keys(QR_EC_LEVELS).forEach(level => {
+        for (let mask = 0; mask < QR_MASKS.length; mask++) {
+            const code = qrFormatBits(level, mask);
+            copies.forEach(bits => {
+                let distance = 0;
+                for (let diff = code ^ bits; diff; diff &= diff - 1) distance++;
+                if (!best || distance < best.distance) {
+                    best = { level, mask, distance };
+                }
+            });
+        }
+    });
+    return best.distance <= 3 ? best : null;
+}
+
+// 数据码字中的各段（数字、字母数字、字节模式）拼成文字；格式不对返回 null
+function qrParseSegments(data, version) {
+    const total = data.length * 8;
+    let offset = 0;
+    const read = length => {
+        let value = 0;
+        for (let i = 0; i < length; i++, offset++) {
+            value = value << 1 | (offset < total ? (data[offset >> 3] >> (7 - (offset & 7))) & 1 : 0);
+        }
+        return value;
+    };
+    const countBits = { 1: [10, 12], 2: [9, 11], 4: [8, 16] };
+    const bytes = [];
+
+    while (offset + 4 <= total) {
+        const mode = read(4);
+        if (mode === 0) break;
+        if (mode === 7) {
+            // ECI：只支持 UTF-8，跳过指示符
+            const first = read(8);
+            if (first & 0x80) read(first & 0x40 ? 16 : 8);
+            continue;
+        }
+        if (!countBits[mode]) return null;
+        const count = read(countBits[mode][version < 10 ? 0 : 1]);
+
+        if (mode === 4) {
+            if (offset + count * 8 > total) return null;
+            for (let i = 0; i < count; i++) bytes.push(read(8));
+        } else if (mode === 1) {
+            let digits = '';
+            for (let left = count; left > 0; left -= 3) {
+                const group = Math.min(3, left);
+                digits += String(read([0, 4, 7, 10][group])).padStart(group, '0');
+            }
+            for (const c of digits) bytes.push(c.charCodeAt(0));
+        } else {
+            for (let left = count; left > 0; left -= 2) {
+                if (left >= 2) {
+                    const value = read(11);
+                    bytes.push(QR_ALPHANUMERIC.charCodeAt(Math.floor(value / 45)), QR_ALPHANUMERIC.charCodeAt(value % 45));
+                } else {
+                    bytes.push(QR_ALPHANUMERIC.charCodeAt(read(6)));
+                }
+            }
+        }
+        if (offset > total) return null;
+    }
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch (error) {
+        return null;
+    }
+}
+
+// 读出采样得到的模块矩阵：格式信息 → 去掉掩模 → 拆块纠错 → 解析数据
+function qrReadMatrix(modules, version) {
+    const format = qrReadFormat(modules, version * 4 + 17);
+    if (!format) return null;
+
+    const { size, reserved } = qrBaseMatrix(version);
+    const order = qrPlacement(size, reserved);
+    const mask = QR_MASKS[format.mask];
+    const codewords = new Uint8Array(order.length >> 3);
+    for (let i = 0; i < codewords.length * 8; i++) {
+        const index = order[i];
+        const x = index % size;
+        const bit = modules[index] ^ (mask(x, (index - x) / size) ? 1 : 0);
+        codewords[i >> 3] |= bit << (7 - (i & 7));
+    }
+
+    // 按交织顺序拆回各块
+    const blocks = qrBlockLayout(version, format.level).map(block => ({ ...block, codewords: [] }));
+    const ecCount = blocks[0].total - blocks[0].data;
+    const maxData = Math.max(...blocks.map(block => block.data));
+    let next = 0;
+    for (let i = 0; i < maxData; i++) {
+        blocks.forEach(block => {
+            if (i < block.data) block.codewords.push(codewords[next++]);
+        });
+    }
+    for (let i = 0; i < ecCount; i++) {
+        blocks.forEach(block => block.codewords.push(codewords[next++]));
+    }
+
+    const data = [];
+    for (const block of blocks) {
+        const corrected = qrCorrect(block.codewords, ecCount);
+        if (!corrected) return null;
+        data.push(...corrected.slice(0, block.data));
+    }
+    return qrParseSegments(data, version);
+}
+
+// 按透视变换在每个模块中心取样
+function qrSample(image, transform, size) {
+    const modules = new Uint8Array(size * size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const point = transform(x + 0.5, y + 0.5);
+            const px = Math.floor(point.x);
+            const py = Math.floor(point.y);
+            if (px >= 0 && py >= 0 && px < image.width && py < image.height) {
+                modules[y * size + x] = image.bits[py * image.width + px];
+            }
+        }
+    }
+    return modules;
+}
+
+/**
+ * 识别图像中的一个二维码，返回文字；找不到或读不出时返回 null。
+ * 由三个定位图案估计版本，读不出时再试相邻的版本。
+ */
+function decodeQr(imageData) {
+    const image = qrBinarize(imageData);
+    const finders = qrPickFinders(qrFindFinders(image));
+    if (!finders) return null;
+    const { topLeft, topRight, bottomLeft } = finders;
+
+    // 斜着拍时横竖方向量出的定位图案偏大，按角度换算回模块大小
+    const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+    const moduleSize = (topLeft.size + topRight.size + bottomLeft.size) / 3 *
+        Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+    const span = (qrDistance(topLeft, topRight) + qrDistance(topLeft, bottomLeft)) / 2 / moduleSize;
+    const estimated = Math.round((span + 7 - 17) / 4);
+
+    for (const version of [estimated, estimated - 1, estimated + 1]) {
+        if (version < 1 || version > QR_MAX_VERSION) continue;
+        const size = version * 4 + 17;
+        const far = size - 3.5;
+
+        // 按三个定位图案估计的仿射位置；有校正图案时用它做透视校正
+        const affine = (x, y) => ({
+            x: topLeft.x + (x - 3.5) / (far - 3.5) * (topRight.x - topLeft.x) + (y - 3.5) / (far - 3.5) * (bottomLeft.x - topLeft.x),
+            y: topLeft.y + (x - 3.5) / (far - 3.5) * (topRight.y - topLeft.y) + (y - 3.5) / (far - 3.5) * (bottomLeft.y - topLeft.y)
+        });
+        // 校正图案离预计位置近的先试，都读不出时按仿射位置再试一次
+        const corners = version >= 2
+            ? qrFindAlignments(image, affine(size - 6.5, size - 6.5), moduleSize).slice(0, QR_ALIGNMENT_TRIES)
+                .map(point => ({ module: size - 6.5, point }))
+            : [];
+        corners.push({ module: far, point: affine(far, far) });
+
+        for (const corner of corners) {
+            const transform = qrPerspective(
+                [3.5, 3.5, far, 3.5, corner.module, corner.module, 3.5, far],
+                [topLeft.x, topLeft.y, topRight.x, topRight.y, corner.point.x, corner.point.y, bottomLeft.x, bottomLeft.y]
+            );
+            const text = qrReadMatrix(qrSample(image, transform, size), version);
+            if (text !== null) {
+                return text;
+            }
+        }
+    }
+    return null;
+}
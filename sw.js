@@ -2,11 +2,17 @@
  * Service Worker - 离线支持
  */
 
-const CACHE_NAME = 'health-pwa-v5';
+// 同步逻辑与页面共用
+importScripts('sync.js');
+
+const CACHE_NAME = 'health-pwa-v48';
 const ASSETS = [
     '/',
     '/index.html',
     '/app.js',
+    '/sync.js',
+    '/qr.js',
+    '/qr-worker.js',
     '/manifest.json',
     '/icon-192.png',
     '/icon-512.png'
@@ -46,3 +52,147 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// ============================================================
+// 测量提醒
+// ============================================================
+
+// 与 app.js 保持一致
+const DB_NAME = 'HealthRecordsDB';
+const DEFAULT_PROFILE_ID = 'default';
+const REMINDER_EARLY_MINUTES = 60;
+
+// 点击提醒通知 - 打开应用直接进入语音记录（?action=record）
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || '?action=record',
+        self.registration.scope).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(windows => {
+            // 已打开的页面直接跳转，否则新开一个
+            const client = windows[0];
+            if (client) {
+                return client.focus().then(() => client.navigate(url));
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
+// 定期同步 - 浏览器不支持定时通知时，由这里检查到点还没记录的提醒
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'reminders') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function localDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 今天已到提醒时间、还没提醒过、也还没有相应记录的提醒，发通知并记入 reminderLog
+async function checkReminders() {
+    const db = await requestToPromise(indexedDB.open(DB_NAME));
+    try {
+        if (!db.objectStoreNames.contains('settings')) return;
+
+        const settings = db.transaction('settings', 'readonly').objectStore('settings');
+        const [remindersEntry, logEntry, profilesEntry] = await Promise.all([
+            requestToPromise(settings.get('reminders')),
+            requestToPromise(settings.get('reminderLog')),
+            requestToPromise(settings.get('profiles'))
+        ]);
+        const reminders = remindersEntry ? remindersEntry.value : [];
+        const log = logEntry ? logEntry.value : {};
+        const profiles = profilesEntry ? profilesEntry.value : [];
+
+        const now = new Date();
+        const today = localDate(now);
+        let changed = false;
+
+        for (const reminder of reminders) {
+            // 与 app.js 的 reminderId 一致：默认成员的提醒不带成员
+            const profile = reminder.profile || DEFAULT_PROFILE_ID;
+            const id = `${reminder.time}|${reminder.store}|${reminder.context || ''}` +
+                (profile === DEFAULT_PROFILE_ID ? '' : `|${profile}`);
+            const [hours, minutes] = reminder.time.split(':').map(Number);
+            const due = new Date(now);
+            due.setHours(hours, minutes, 0, 0);
+            if (due > now || log[id] === today || !db.objectStoreNames.contains(reminder.store)) continue;
+
+            const from = new Date(due.getTime() - REMINDER_EARLY_MINUTES * 60000).toISOString();
+            const records = await requestToPromise(db.transaction(reminder.store, 'readonly')
+                .objectStore(reminder.store).index('recordedAt').getAll(IDBKeyRange.lowerBound(from)));
+            // 只看提醒的成员的记录（没有 profile 的旧记录算默认成员）；本地加密的记录看不到场景，有记录就算已测
+            const done = records.some(r => !r.deletedAt && (r.profile || DEFAULT_PROFILE_ID) === profile &&
+                (r.sealed || !reminder.context || r.context === reminder.context));
+
+            if (!done) {
+                const member = profiles.length > 1 ? profiles.find(p => p.id === profile) : null;
+                await self.registration.showNotification('健康记录提醒', {
+                    body: `${reminder.time} ${member ? member.name : ''}${reminder.label || '测量'}，轻触开始语音记录`,
+                    tag: `reminder|${id}|${today}`,
+                    icon: 'icon-192.png',
+                    data: { url: `?action=record&profile=${encodeURIComponent(profile)}` }
+                });
+            }
+            log[id] = today;
+            changed = true;
+        }
+
+        if (changed) {
+            await requestToPromise(db.transaction('settings', 'readwrite')
+                .objectStore('settings').put({ key: 'reminderLog', value: log }));
+        }
+    } finally {
+        db.close();
+    }
+}
+
+// ============================================================
+// 多设备同步
+// ============================================================
+
+// 页面保存记录后注册 health-sync；离线时浏览器在恢复网络后触发，失败时会自动重试
+self.addEventListener('sync', (event) => {
+    if (event.tag === 'health-sync') {
+        event.waitUntil(backgroundSync());
+    }
+});
+
+async function backgroundSync() {
+    const db = await requestToPromise(indexedDB.open(DB_NAME));
+    try {
+        if (!db.objectStoreNames.contains(SYNC_QUEUE_STORE)) return;
+
+        const settings = db.transaction('settings', 'readonly').objectStore('settings');
+        const [syncEntry, deviceEntry, encryptionEntry] = await Promise.all([
+            requestToPromise(settings.get('sync')),
+            requestToPromise(settings.get('deviceId')),
+            requestToPromise(settings.get('encryption'))
+        ]);
+        // 本地加密开启时不同步
+        if (!syncEntry || !syncEntry.value || (encryptionEntry && encryptionEntry.value)) return;
+
+        const { pulled } = await runSync(db, syncEntry.value, deviceEntry && deviceEntry.value);
+        await requestToPromise(db.transaction('settings', 'readwrite').objectStore('settings')
+            .put({ key: 'syncState', value: { lastSyncAt: new Date().toISOString(), lastError: null } }));
+
+        // 打开着的页面刷新历史记录
+        if (pulled > 0) {
+            const windows = await self.clients.matchAll({ type: 'window' });
+            windows.forEach(client => client.postMessage({ type: 'synced' }));
+        }
+    } finally {
+        db.close();
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * 多设备同步 - 页面（app.js）和 Service Worker（sw.js）共用
+ *
+ * 服务器上只保存一个 JSON 文件（同步文件），任何支持 GET / PUT 和 ETag 的地址都可以：
+ * WebDAV（坚果云、Nextcloud、nginx dav 等）或按 README 约定实现的简单 REST 服务。
+ *
+ * 同步文件：{ format, version, updatedAt, records: { "表名|uuid": 变更 } }
+ * 变更：{ store, uuid, updatedAt, device, record }，record 为不含本地 id 的整条记录，
+ * 删除的记录带 deletedAt（墓碑），同样同步。
+ *
+ * 每次同步：下载同步文件 → 远端较新的记录写入本地 → 本地待同步队列中较新的记录写入同步文件 →
+ * 带 If-Match 上传（其他设备同时上传时返回 412，重新合并）。冲突按 updatedAt 较新者为准。
+ */
+
+// 与 app.js 的 BACKUP_STORES 一致
+const SYNC_STORES = ['glucose', 'pressure', 'weight', 'temperature', 'spo2', 'steps', 'medications'];
+const SYNC_QUEUE_STORE = 'syncQueue';
+const SYNC_FORMAT = 'health-pwa-sync';
+const SYNC_MAX_ATTEMPTS = 3;
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbWrite(database, storeNames, write) {
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeNames, 'readwrite');
+        write(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function syncKey(storeName, uuid) {
+    return `${storeName}|${uuid}`;
+}
+
+function changeTime(record) {
+    return record.updatedAt || record.recordedAt;
+}
+
+function syncHeaders(config) {
+    const headers = {};
+    if (config.username) {
+        const credentials = new TextEncoder().encode(`${config.username}:${config.password || ''}`);
+        headers.Authorization = 'Basic ' + btoa(String.fromCharCode(...credentials));
+    }
+    return headers;
+}
+
+// 下载同步文件，还没有时（404）从空文件开始
+async function fetchSyncDocument(config) {
+    const response = await fetch(config.url, { headers: syncHeaders(config), cache: 'no-store' });
+    if (response.status === 404) {
+        return { doc: { format: SYNC_FORMAT, version: 1, records: {} }, etag: null };
+    }
+    if (!response.ok) {
+        throw new Error(`下载失败（HTTP ${response.status}）`);
+    }
+    const doc = await response.json();
+    if (!doc || doc.format !== SYNC_FORMAT || typeof doc.records !== 'object') {
+        throw new Error('服务器上的文件不是同步文件');
+    }
+    return { doc, etag: response.headers.get('ETag') };
+}
+
+// 上传同步文件；etag 为空表示服务器上还没有文件，只在不存在时创建
+function putSyncDocument(config, doc, etag) {
+    const headers = { ...syncHeaders(config), 'Content-Type': 'application/json' };
+    if (etag) {
+        headers['If-Match'] = etag;
+    } else {
+        headers['If-None-Match'] = '*';
+    }
+    doc.updatedAt = new Date().toISOString();
+    return fetch(config.url, { method: 'PUT', headers, body: JSON.stringify(doc) });
+}
+
+// 按 uuid 读出一张表的全部记录（含已删除和所有家庭成员）
+async function loadLocalRecords(database, storeName) {
+    const records = await idbRequest(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+    const byUuid = new Map();
+    records.forEach(record => {
+        if (record.uuid) byUuid.set(record.uuid, record);
+    });
+    return byUuid;
+}
+
+function isValidChange(change) {
+    return !!change && SYNC_STORES.includes(change.store) && typeof change.uuid === 'string' &&
+        typeof change.updatedAt === 'string' && !!change.record &&
+        change.record.uuid === change.uuid && typeof change.record.recordedAt === 'string';
+}
+
+/**
+ * 同步一次，返回 { pulled, pushed }：从服务器写入本地的条数、上传的条数。
+ * database 为已打开的 IndexedDB；config 为 { url, username, password }；deviceId 标识本设备。
+ */
+async function runSync(database, config, deviceId) {
+    for (let attempt = 0; attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+        const { doc, etag } = await fetchSyncDocument(config);
+        const queue = await idbRequest(database.transaction(SYNC_QUEUE_STORE, 'readonly').objectStore(SYNC_QUEUE_STORE).getAll());
+        const changes = Object.values(doc.records).filter(isValidChange);
+        let pulled = 0;
+        let pushed = 0;
+
+        for (const storeName of SYNC_STORES) {
+            const local = await loadLocalRecords(database, storeName);
+
+            // 远端较新的写入本地（保留本地 id）；这些写入不进待同步队列
+            const updates = [];
+            changes.filter(change => change.store === storeName).forEach(change => {
+                const existing = local.get(change.uuid);
+                if (!existing || change.updatedAt > changeTime(existing)) {
+                    const record = { ...change.record };
+                    delete record.id;
+                    if (existing) {
+                        record.id = existing.id;
+                    }
+                    updates.push(record);
+                    local.set(change.uuid, record);
+                }
+            });
+            if (updates.length > 0) {
+                await idbWrite(database, storeName, tx => {
+                    const store = tx.objectStore(storeName);
+                    updates.forEach(record => store.put(record));
+                });
+                pulled += updates.length;
+            }
+
+            // 队列中本地较新的写入同步文件
+            queue.filter(entry => entry.storeName === storeName).forEach(entry => {
+                const record = local.get(entry.uuid);
+                const remote = doc.records[entry.key];
+                if (!record || (remote && changeTime(record) <= remote.updatedAt)) return;
+                const { id, ...rest } = record;
+                doc.records[entry.key] = {
+                    store: storeName,
+                    uuid: entry.uuid,
+                    updatedAt: changeTime(record),
+                    device: deviceId,
+                    record: rest
+                };
+                pushed++;
+            });
+        }
+
+        if (pushed > 0) {
+            const response = await putSyncDocument(config, doc, etag);
+            if (response.status === 412) {
+                // 其他设备刚上传过，重新下载合并
+                continue;
+            }
+            if (!response.ok) {
+                throw new Error(`上传失败（HTTP ${response.status}）`);
+            }
+        }
+
+        // 同步期间又有修改的条目（queuedAt 变了）留到下次
+        await idbWrite(database, SYNC_QUEUE_STORE, tx => {
+            const store = tx.objectStore(SYNC_QUEUE_STORE);
+            queue.forEach(entry => {
+                store.get(entry.key).onsuccess = (event) => {
+                    const current = event.target.result;
+                    if (current && current.queuedAt === entry.queuedAt) {
+                        store.delete(entry.key);
+                    }
+                };
+            });
+        });
+        return { pulled, pushed };
+    }
+    throw new Error('其他设备正在同步，请稍后再试');
+}
@@ -0,0 +1,101 @@
+// FHIR 导出再导入：buildFhirExport → fhirBundleToBackup
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const buildFhirExport = app('buildFhirExport');
+const fhirBundleToBackup = app('fhirBundleToBackup');
+
+const time = (day, hour) => new Date(Date.UTC(2024, 5, day, hour)).toISOString();
+
+const RECORDS = {
+    glucose: [
+        { value: 6.1, context: 'fasting', unit: 'mmol/L', recordedAt: time(1, 0), notes: '早饭前' },
+        { value: 8.4, context: 'postMeal', unit: 'mmol/L', recordedAt: time(1, 5), notes: '' }
+    ],
+    pressure: [
+        { systolic: 132, diastolic: 84, pulse: 72, unit: 'mmHg', recordedAt: time(1, 1), notes: '' },
+        { systolic: 118, diastolic: 76, pulse: null, unit: 'mmHg', recordedAt: time(2, 1), notes: '' }
+    ],
+    weight: [{ value: 65.5, unit: 'kg', recordedAt: time(1, 2), notes: '' }],
+    temperature: [{ value: 36.8, unit: '°C', recordedAt: time(1, 3), notes: '' }],
+    spo2: [{ value: 97, unit: '%', recordedAt: time(1, 4), notes: '' }],
+    steps: [{ value: 8000, unit: '步', recordedAt: time(1, 12), notes: '' }]
+};
+
+// 导出时从内存里的记录读取，不打开数据库
+app('forEachRecord = async (storeName, startISO, endISO, callback) => { ' +
+    'const records = globalThis.testRecords[storeName] || []; records.forEach(callback); return records.length; }');
+globalThis.testRecords = RECORDS;
+
+async function exportBundle() {
+    const { chunks, count } = await buildFhirExport(Object.keys(RECORDS), { startISO: null, endISO: null });
+    return { bundle: JSON.parse(chunks.join('')), count };
+}
+
+function observationsWithCode(bundle, code) {
+    return bundle.entry.map(e => e.resource).filter(r => r.code.coding.some(c => c.code === code));
+}
+
+test('导出的 LOINC 代码和单位', async () => {
+    const { bundle, count } = await exportBundle();
+    assert.strictEqual(bundle.resourceType, 'Bundle');
+    assert.strictEqual(count, 8);
+    // 带心率的血压另有一条心率
+    assert.strictEqual(bundle.entry.length, 9);
+
+    const expected = [
+        ['15074-8', 'mmol/L', 2],
+        ['29463-7', 'kg', 1],
+        ['8310-5', 'Cel', 1],
+        ['59408-5', '%', 1],
+        ['55423-8', '{steps}', 1],
+        ['8867-4', '/min', 1]
+    ];
+    for (const [code, unit, n] of expected) {
+        const observations = observationsWithCode(bundle, code);
+        assert.strictEqual(observations.length, n, code);
+        observations.forEach(o => {
+            assert.strictEqual(o.valueQuantity.code, unit);
+            assert.strictEqual(o.valueQuantity.system, 'http://unitsofmeasure.org');
+        });
+    }
+
+    const pressure = observationsWithCode(bundle, '85354-9');
+    assert.strictEqual(pressure.length, 2);
+    assert.deepStrictEqual(
+        pressure[0].component.map(c => [c.code.coding[0].code, c.valueQuantity.value, c.valueQuantity.code]),
+        [['8480-6', 132, 'mm[Hg]'], ['8462-4', 84, 'mm[Hg]']]
+    );
+});
+
+test('导出再导入，数值、单位、血糖场景和心率不变', async () => {
+    const { bundle } = await exportBundle();
+    const backup = fhirBundleToBackup(bundle);
+
+    assert.strictEqual(backup.invalid, 0);
+    for (const key of Object.keys(RECORDS)) {
+        assert.deepStrictEqual(backup.records[key], RECORDS[key], key);
+    }
+});
+
+test('mg/dL 血糖（2339-0）换算成 mmol/L', () => {
+    const bundle = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [{
+            resource: {
+                resourceType: 'Observation',
+                status: 'final',
+                code: { coding: [{ system: 'http://loinc.org', code: '2339-0' }], text: '空腹血糖' },
+                effectiveDateTime: time(3, 0),
+                valueQuantity: { value: 126, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' }
+            }
+        }]
+    };
+    const backup = fhirBundleToBackup(bundle);
+    assert.deepStrictEqual(backup.records.glucose, [
+        { value: 7, context: 'fasting', unit: 'mmol/L', recordedAt: time(3, 0), notes: '' }
+    ]);
+});
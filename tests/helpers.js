@@ -0,0 +1,44 @@
+/**
+ * 测试用：在 Node 里加载页面脚本（sync.js、qr.js、app.js，顺序同 index.html）
+ *
+ * 只补上脚本加载时用到的 window / document / navigator，不打开数据库，也不注册
+ * Service Worker。脚本在当前上下文中运行，顶层的函数和常量之后用 app(name) 取出，
+ * 返回的对象和测试里的对象同属一个上下文，可以直接用 assert.deepStrictEqual 比较。
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['sync.js', 'qr.js', 'app.js'];
+
+let loaded = false;
+
+function loadApp() {
+    if (!loaded) {
+        globalThis.window = { addEventListener() {} };
+        globalThis.document = {
+            addEventListener() {},
+            getElementById: () => ({ style: {}, classList: { add() {}, remove() {} } })
+        };
+        if (!('navigator' in globalThis)) {
+            globalThis.navigator = {};
+        }
+
+        // app.js 加载时设置的自动锁定计时器会让测试进程无法退出
+        const setIntervalOriginal = globalThis.setInterval;
+        globalThis.setInterval = () => 0;
+        try {
+            SCRIPTS.forEach(file => {
+                const filename = path.join(ROOT, file);
+                vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+            });
+        } finally {
+            globalThis.setInterval = setIntervalOriginal;
+        }
+        loaded = true;
+    }
+    return name => vm.runInThisContext(name);
+}
+
+module.exports = { loadApp };
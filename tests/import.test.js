@@ -0,0 +1,93 @@
+// 导入备份：和库里已有的记录去重
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const findNewRecords = app('findNewRecords');
+
+// 只读的内存数据库：transaction(store).objectStore(store).getAll()
+function useStoredRecords(storeName, records) {
+    const fakeDb = {
+        transaction: () => ({
+            objectStore: () => ({
+                getAll() {
+                    const request = { result: records };
+                    setTimeout(() => request.onsuccess());
+                    return request;
+                }
+            })
+        })
+    };
+    app('(fakeDb) => { db = fakeDb; profiles = [{ id: "default", name: "我" }]; currentProfile = "default"; }')(fakeDb);
+}
+
+const reading = (value, hour) => ({ value, unit: 'mmol/L', recordedAt: new Date(Date.UTC(2024, 5, 1, hour)).toISOString(), notes: '' });
+
+test('已有的记录不再导入，本地删掉的可以从备份找回', async () => {
+    useStoredRecords('glucose', [
+        { id: 1, ...reading(6.1, 0) },
+        { id: 2, ...reading(7.2, 5), deletedAt: '2024-06-02T00:00:00.000Z' },
+        { id: 3, ...reading(5.5, 8), profile: 'dad' }
+    ]);
+    const backup = [reading(6.1, 0), reading(7.2, 5), reading(5.5, 8), reading(5.5, 8)];
+    assert.deepStrictEqual(await findNewRecords('glucose', backup), [reading(7.2, 5), reading(5.5, 8)]);
+});
+
+test('表格导入：读取已有记录失败时显示错误，不能导入', async () => {
+    // 按 id 取的页面元素
+    const elements = {};
+    const getElementById = document.getElementById;
+    document.getElementById = id => elements[id] || (elements[id] = { id, style: {}, textContent: '', value: '' });
+
+    const failingDb = {
+        transaction: () => ({
+            objectStore: () => ({
+                getAll() {
+                    const request = { error: new Error('数据库已关闭') };
+                    setTimeout(() => request.onerror());
+                    return request;
+                }
+            })
+        })
+    };
+    app('(failingDb) => { db = failingDb; }')(failingDb);
+
+    try {
+        const csv = '日期,血糖\n2024-06-01 07:30,6.1\n';
+        app('(buffer) => { pendingCsv = { buffer, encoding: "utf-8", delimiter: ",", fileName: "血糖.csv" }; ' +
+            'loadCsvRows(); pendingCsv.mapping = guessCsvMapping(pendingCsv.header); ' +
+            'pendingCsv.fixedMetric = guessFixedMetric(pendingCsv.mapping); pendingCsv.readings = []; }')(
+            new TextEncoder().encode(csv).buffer);
+        app('showCsvWizard')();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.strictEqual(elements.csvError.textContent, '预览失败：数据库已关闭');
+        assert.strictEqual(elements.csvImportBtn.disabled, true);
+        assert.strictEqual(app('pendingCsv').readings, null);
+    } finally {
+        document.getElementById = getElementById;
+        app('pendingCsv = null');
+    }
+});
+
+test('表格导入中途失败时报告已导入的条数', async () => {
+    const elements = {};
+    const getElementById = document.getElementById;
+    document.getElementById = id => elements[id] || (elements[id] = { id, style: {}, textContent: '', value: '' });
+
+    // 第三条保存失败
+    const saved = [];
+    app('(saved) => { loadHistory = () => {}; saveReading = async (key, values) => { ' +
+        'if (saved.length === 2) throw new Error("存储空间不足"); saved.push(values.value); }; }')(saved);
+    const csvReading = value => ({ metricKey: 'glucose', values: { value }, notes: '', recordedAt: new Date(2024, 5, 1) });
+    app('(readings) => { pendingCsv = { readings }; }')([csvReading(6.1), csvReading(6.2), csvReading(6.3), csvReading(6.4)]);
+
+    try {
+        await app('confirmCsvImport')();
+        assert.deepStrictEqual(saved, [6.1, 6.2]);
+        assert.strictEqual(elements.statusBar.textContent, '导入中断，已导入 2 条，其余 2 条未导入，再次导入会跳过已导入的');
+    } finally {
+        document.getElementById = getElementById;
+    }
+});
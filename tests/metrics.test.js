@@ -0,0 +1,43 @@
+// 各指标的语音读数和单位
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const parseHealthText = app('parseHealthText');
+
+test('各指标读数和单位', async (t) => {
+    const cases = [
+        // 体重：公斤、千克、kg（不分大小写）、斤（换算成公斤）
+        ['体重65.5', { weight: { value: 65.5 } }],
+        ['体重65公斤', { weight: { value: 65 } }],
+        ['体重六十五点五公斤', { weight: { value: 65.5 } }],
+        ['体重65千克', { weight: { value: 65 } }],
+        ['体重 65 千克', { weight: { value: 65 } }],
+        ['体重六十五点五千克', { weight: { value: 65.5 } }],
+        ['体重65kg', { weight: { value: 65 } }],
+        ['体重65KG', { weight: { value: 65 } }],
+        ['体重130斤', { weight: { value: 65 } }],
+        ['体重一百三十斤', { weight: { value: 65 } }],
+        // 体温：度，口语里"度"后面是小数
+        ['体温36.5', { temperature: { value: 36.5 } }],
+        ['体温36.5度', { temperature: { value: 36.5 } }],
+        ['体温三十七度二', { temperature: { value: 37.2 } }],
+        // 血氧：%、百分之
+        ['血氧98', { spo2: { value: 98 } }],
+        ['血氧98%', { spo2: { value: 98 } }],
+        ['血氧饱和度百分之九十七', { spo2: { value: 97 } }],
+        // 步数
+        ['步数8000', { steps: { value: 8000 } }],
+        ['今天走了一万二千步', { steps: { value: 12000 } }],
+        // 超出范围的不记录
+        ['体重500公斤', {}],
+        ['体温50', {}],
+        ['血氧120', {}]
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.deepStrictEqual(parseHealthText(input), expected);
+        });
+    }
+});
@@ -0,0 +1,65 @@
+// 家庭成员：语音里的称呼
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const parseHealthText = app('parseHealthText');
+
+function useProfiles(list, current) {
+    app('(list, current) => { profiles = list; currentProfile = current; }')(list, current);
+}
+
+test('称呼只认句首', async (t) => {
+    useProfiles([{ id: 'default', name: '我' }, { id: 'dad', name: '爸爸' }, { id: 'mom', name: '妈妈' }], 'dad');
+    const cases = [
+        ['爸爸血糖 6.4', 'dad'],
+        ['妈妈血压 140 90', 'mom'],
+        ['记一下妈妈的血压 140 90', 'mom'],
+        ['帮我记一下爸爸血糖 6.4', 'dad'],
+        ['给妈妈记血压 140 90', 'mom'],
+        ['我血糖 6.4', 'default'],
+        ['帮我记一下血糖 6.4', undefined],
+        ['我记一下血糖 6.4', undefined],
+        ['血糖 6.4 是妈妈的', undefined]
+    ];
+    for (const [input, profile] of cases) {
+        await t.test(input, () => {
+            const parsed = parseHealthText(input);
+            assert.strictEqual(parsed.profile, profile);
+            assert.ok(parsed.glucose || parsed.pressure, JSON.stringify(parsed));
+        });
+    }
+});
+
+test('只有一个成员时不识别称呼', () => {
+    useProfiles([{ id: 'default', name: '我' }], 'default');
+    assert.deepStrictEqual(parseHealthText('我血糖 6.4'), { glucose: { value: 6.4 } });
+});
+
+test('药物按成员分别设置', async () => {
+    const settings = {
+        drugs: [],
+        'drugs:dad': [{ name: '二甲双胍', dose: 500, unit: '毫克', timesPerDay: 2 }]
+    };
+    app('(settings) => { getSetting = async key => settings[key]; }')(settings);
+    useProfiles([{ id: 'default', name: '我' }, { id: 'dad', name: '爸爸' }, { id: 'mom', name: '妈妈' }], 'default');
+    await app('loadDrugs')();
+
+    // 说了称呼时按这位成员的药识别，当前成员没有设置这种药
+    assert.deepStrictEqual(parseHealthText('爸爸吃了二甲双胍'),
+        { medications: [{ drug: '二甲双胍', dose: 500, unit: '毫克' }], profile: 'dad' });
+    assert.deepStrictEqual(parseHealthText('吃了二甲双胍'), {});
+    assert.deepStrictEqual(parseHealthText('妈妈吃了二甲双胍'), {});
+
+    // 没有设置药物的成员不统计按时用药
+    const medicationAdherence = app('medicationAdherence');
+    const range = { start: new Date(2024, 5, 1), end: new Date(2024, 5, 2) };
+    const now = new Date(2024, 5, 3);
+    assert.deepStrictEqual(medicationAdherence([], range, now), []);
+
+    useProfiles([{ id: 'default', name: '我' }, { id: 'dad', name: '爸爸' }, { id: 'mom', name: '妈妈' }], 'dad');
+    await app('loadDrugs')();
+    assert.deepStrictEqual(medicationAdherence([{ drug: '二甲双胍' }], range, now).map(a => [a.name, a.taken, a.expected]),
+        [['二甲双胍', 1, 2]]);
+});
@@ -0,0 +1,176 @@
+// 二维码生成和识别（qr.js），以及扫码传输的分帧、重组（app.js「扫码传输」）
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const encodeQr = app('encodeQr');
+const decodeQr = app('decodeQr');
+
+/**
+ * 把二维码画成摄像头画面那样的灰度图：四周留 4 个模块的白边，可以旋转、加噪点，
+ * 另有从左到右变亮的光照渐变。返回与 canvas getImageData 相同的 { width, height, data }。
+ */
+function renderQr(qr, { scale = 4, angle = 0, noise = 0 } = {}) {
+    const modules = qr.size + 8;
+    const side = Math.ceil(modules * scale * (Math.abs(Math.cos(angle)) + Math.abs(Math.sin(angle)))) + 16;
+    const width = side;
+    const height = side;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // 固定种子的伪随机数，结果可重复
+    let seed = 1;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x + 0.5 - width / 2;
+            const dy = y + 0.5 - height / 2;
+            const mx = Math.floor((cos * dx + sin * dy) / scale + modules / 2) - 4;
+            const my = Math.floor((-sin * dx + cos * dy) / scale + modules / 2) - 4;
+            const dark = mx >= 0 && my >= 0 && mx < qr.size && my < qr.size && qr.modules[my * qr.size + mx];
+            const gray = (dark ? 40 : 220) + (random() - 0.5) * noise * 2 + 30 * x / width;
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = gray;
+            data[i + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+// 各版本各取一段刚好需要这个版本的文字
+function textsByVersion(maxVersion) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const texts = {};
+    for (let length = 1; Object.keys(texts).length < maxVersion; length++) {
+        const text = Array.from({ length }, (_, i) => alphabet[(i * 7 + length) % alphabet.length]).join('');
+        const { version } = encodeQr(text);
+        if (!texts[version]) {
+            texts[version] = text;
+        }
+    }
+    return texts;
+}
+
+test('二维码生成再识别', async (t) => {
+    const texts = textsByVersion(16);
+    for (let version = 1; version <= 16; version++) {
+        await t.test(`第 ${version} 版`, () => {
+            const qr = encodeQr(texts[version]);
+            assert.strictEqual(qr.version, version);
+            assert.strictEqual(qr.size, 17 + version * 4);
+            assert.strictEqual(decodeQr(renderQr(qr, { scale: 4 })), texts[version]);
+        });
+    }
+});
+
+test('旋转、噪点下识别', async (t) => {
+    const texts = textsByVersion(16);
+    const cases = [
+        ['旋转 7°', 3, { scale: 4, angle: 7 * Math.PI / 180 }],
+        ['旋转 7° 加噪点', 10, { scale: 4, angle: -7 * Math.PI / 180, noise: 40 }],
+        ['旋转 90°', 13, { scale: 4, angle: Math.PI / 2 }],
+        ['噪点', 16, { scale: 4, noise: 50 }]
+    ];
+    for (const [name, version, options] of cases) {
+        await t.test(name, () => {
+            assert.strictEqual(decodeQr(renderQr(encodeQr(texts[version]), options)), texts[version]);
+        });
+    }
+});
+
+test('中文文字', () => {
+    const text = '健康记录 血糖6.4';
+    assert.strictEqual(decodeQr(renderQr(encodeQr(text), { scale: 6 })), text);
+});
+
+test('没有二维码的画面返回 null', () => {
+    const blank = { width: 200, height: 200, data: new Uint8ClampedArray(200 * 200 * 4).fill(200) };
+    assert.strictEqual(decodeQr(blank), null);
+});
+
+// 扫码传输：分帧、乱序和重复接收、混入别的二维码
+const encodeTransfer = app('encodeTransfer');
+const createTransferReceiver = app('createTransferReceiver');
+const addTransferFrame = app('addTransferFrame');
+const decodeTransfer = app('decodeTransfer');
+const isEncryptedBackup = app('isEncryptedBackup');
+const decryptBackup = app('decryptBackup');
+
+const BACKUP = {
+    exportTime: '2024-06-01T00:00:00.000Z',
+    glucose: Array.from({ length: 60 }, (_, i) => ({
+        value: 5 + (i % 30) / 10,
+        context: 'fasting',
+        unit: 'mmol/L',
+        recordedAt: new Date(Date.UTC(2024, 4, 1 + (i % 28), 7, i)).toISOString(),
+        notes: `空腹${i}`,
+        uuid: `uuid-${i}`
+    })),
+    pressure: [{ systolic: 120, diastolic: 80, pulse: 70, unit: 'mmHg', recordedAt: '2024-06-01T08:00:00.000Z', notes: '' }]
+};
+const JSON_TEXT = JSON.stringify(BACKUP, null, 2);
+
+// 倒序发送，再重复前两帧；每帧都经过画面识别
+async function receiveFrames(frames) {
+    const receiver = createTransferReceiver();
+    // 别的传输和别的二维码不影响接收
+    assert.strictEqual(addTransferFrame(receiver, 'HPT1|zzzz|0|3|abc'), false);
+    assert.strictEqual(addTransferFrame(receiver, 'https://example.com/'), false);
+
+    const order = frames.map((_, i) => i).reverse().concat([0, 1]);
+    let complete = false;
+    for (const i of order) {
+        const text = decodeQr(renderQr(encodeQr(frames[i]), { scale: 3, angle: 0.12 }));
+        assert.strictEqual(text, frames[i]);
+        complete = addTransferFrame(receiver, text) || complete;
+    }
+    assert.ok(complete);
+    return decodeTransfer(receiver);
+}
+
+test('扫码传输：不加密', async () => {
+    const frames = await encodeTransfer(JSON_TEXT);
+    assert.ok(frames.length > 1);
+    assert.ok(frames.every(frame => frame.startsWith('HPT1|')));
+
+    const data = await receiveFrames(frames);
+    assert.deepStrictEqual(data, BACKUP);
+});
+
+test('扫码传输：加密', async () => {
+    const frames = await encodeTransfer(JSON_TEXT, 'correct horse');
+    const data = await receiveFrames(frames);
+    assert.ok(isEncryptedBackup(data));
+    await assert.rejects(decryptBackup(data, 'wrong pass'), /密码不正确/);
+    assert.deepStrictEqual(await decryptBackup(data, 'correct horse'), BACKUP);
+});
+
+test('qr-worker.js 识别后回复文字', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+
+    // Worker 环境：importScripts 加载同目录的脚本，postMessage 记下回复
+    const replies = [];
+    const worker = {
+        TextEncoder,
+        TextDecoder,
+        importScripts: (...files) => files.forEach(file =>
+            vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), worker)),
+        postMessage: message => replies.push(message)
+    };
+    worker.self = worker;
+    vm.createContext(worker);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'qr-worker.js'), 'utf8'), worker);
+
+    const text = 'HPT1|abcd1234|0|1|hello';
+    worker.onmessage({ data: renderQr(encodeQr(text), { scale: 4 }) });
+    worker.onmessage({ data: { width: 100, height: 100, data: new Uint8ClampedArray(100 * 100 * 4).fill(255) } });
+    assert.deepStrictEqual(replies, [text, null]);
+});
@@ -0,0 +1,51 @@
+// 提醒：记录后撤掉已排好的定时通知
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const reminderId = app('reminderId');
+const toDateInputValue = app('toDateInputValue');
+const nextReminderTime = app('nextReminderTime');
+
+// 支持定时通知的浏览器：getNotifications 返回排好的通知，close 时记下 tag
+const closed = [];
+let scheduled = [];
+function Notification() {}
+Notification.prototype.showTrigger = null;
+globalThis.Notification = window.Notification = Notification;
+navigator.serviceWorker = {
+    ready: Promise.resolve({
+        getNotifications: async () => scheduled.map(tag => ({ tag, close: () => closed.push(tag) }))
+    })
+};
+
+// 半小时后的提醒时间
+const soon = new Date(Date.now() + 30 * 60000);
+const time = `${String(soon.getHours()).padStart(2, '0')}:${String(soon.getMinutes()).padStart(2, '0')}`;
+
+const REMINDERS = [
+    { time, store: 'glucose', context: 'fasting' },
+    { time, store: 'glucose', context: 'postMeal' },
+    { time, store: 'glucose', context: 'fasting', profile: 'dad' },
+    { time, store: 'pressure', context: '' }
+];
+const tagOf = reminder => `reminder|${reminderId(reminder)}|${toDateInputValue(nextReminderTime(reminder))}`;
+
+test('记录后撤掉这条记录满足的提醒', async (t) => {
+    app('(list) => { reminders = list; }')(REMINDERS);
+    const cancel = app('cancelReminderNotifications');
+    const cases = [
+        ['空腹血糖', { context: 'fasting', profile: 'default', recordedAt: new Date().toISOString() }, [REMINDERS[0]]],
+        ['爸爸的空腹血糖', { context: 'fasting', profile: 'dad', recordedAt: new Date().toISOString() }, [REMINDERS[2]]],
+        ['提醒前很早补记的', { context: 'fasting', profile: 'default', recordedAt: new Date(Date.now() - 3 * 3600000).toISOString() }, []]
+    ];
+    for (const [name, record, expected] of cases) {
+        await t.test(name, async () => {
+            scheduled = REMINDERS.map(tagOf);
+            closed.length = 0;
+            await cancel('glucose', record);
+            assert.deepStrictEqual(closed, expected.map(tagOf));
+        });
+    }
+});
@@ -0,0 +1,86 @@
+// 报告中的统计和播报文字
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const METRICS = app('METRICS');
+
+// 某天早上的血压记录
+function morningReading(day, systolic, diastolic) {
+    return { systolic, diastolic, pulse: null, recordedAt: new Date(2024, 5, day, 7, 30).toISOString() };
+}
+
+test('早晨血压按平均值判断偏高偏低', async (t) => {
+    const pressure = METRICS.pressure;
+    const cases = [
+        ['偏低', [[86, 56], [86, 56]], '早晨平均血压86/56，偏低。'],
+        ['偏高', [[150, 95], [146, 93]], '早晨平均血压148/94，偏高，请留意晨起血压。'],
+        ['正常', [[120, 78], [124, 80]], '早晨平均血压122/79。']
+    ];
+    for (const [name, readings, expected] of cases) {
+        await t.test(name, () => {
+            const records = readings.map(([systolic, diastolic], i) => morningReading(i + 1, systolic, diastolic));
+            const text = pressure.summarize(pressure.stats(records));
+            assert.ok(text.endsWith(expected), text);
+        });
+    }
+});
+
+test('超出范围的提醒', async (t) => {
+    const levelWarning = app('levelWarning');
+    const cases = [
+        ['血压正常', 'pressure', { systolic: 120, diastolic: 80 }, ''],
+        ['血压偏高', 'pressure', { systolic: 150, diastolic: 85 }, '血压偏高，请注意。'],
+        ['高压危急', 'pressure', { systolic: 185, diastolic: 95 }, '血压过高，请休息后复测，必要时就医。'],
+        ['高压危急、低压偏低', 'pressure', { systolic: 185, diastolic: 55 }, '血压过高，请休息后复测，必要时就医。'],
+        ['低压危急偏高', 'pressure', { systolic: 130, diastolic: 115 }, '血压过高，请休息后复测，必要时就医。'],
+        ['高压危急偏低', 'pressure', { systolic: 75, diastolic: 50 }, '血压过低，请立即处理，必要时就医。'],
+        ['血糖危急偏低', 'glucose', { value: 3.2, context: 'fasting' }, '血糖过低，请立即处理，必要时就医。'],
+        ['血糖危急偏高', 'glucose', { value: 18, context: 'postMeal' }, '血糖过高，请休息后复测，必要时就医。']
+    ];
+    for (const [name, key, record, expected] of cases) {
+        await t.test(name, () => {
+            assert.strictEqual(levelWarning(METRICS[key], record), expected);
+        });
+    }
+});
+
+test('报告时间段：weekly 是最近 7 天，thisWeek 是本周', () => {
+    const REPORT_PERIODS = app('REPORT_PERIODS');
+    // 2024-06-13 是星期四
+    const now = new Date(2024, 5, 13, 21, 0);
+    const day = date => [date.getMonth() + 1, date.getDate()];
+
+    const weekly = REPORT_PERIODS.weekly.range(now);
+    assert.deepStrictEqual([day(weekly.start), weekly.end.getTime()], [[6, 7], now.getTime()]);
+    assert.deepStrictEqual(day(REPORT_PERIODS.weekly.previous(now).start), [5, 31]);
+
+    assert.deepStrictEqual(day(REPORT_PERIODS.thisWeek.range(now).start), [6, 10]);
+    assert.deepStrictEqual(day(REPORT_PERIODS.thisWeek.previous(now).start), [6, 3]);
+});
+
+test('查询说法对应的时间段', async (t) => {
+    const parseQuery = app('parseQuery');
+    const cases = [
+        ['最近7天血压怎么样', 'weekly'],
+        ['最近1周血压怎么样', 'weekly'],
+        ['这周血压怎么样', 'thisWeek'],
+        ['本周血糖多少', 'thisWeek'],
+        ['上周体重怎么样', 'lastWeek'],
+        ['这个月平均血糖', 'monthly']
+    ];
+    for (const [input, period] of cases) {
+        await t.test(input, () => {
+            assert.strictEqual(parseQuery(input).period, period);
+        });
+    }
+});
+
+test('血糖目标范围内、低于、高于的百分比各自按条数计算', () => {
+    const glucose = METRICS.glucose;
+    const fasting = (day, value) => ({ value, context: 'fasting', recordedAt: new Date(2024, 5, day, 7, 0).toISOString() });
+    const records = [fasting(1, 3.5), ...[2, 3, 4, 5, 6, 7, 8].map(day => fasting(day, 6))];
+    const stats = glucose.stats(records);
+    assert.deepStrictEqual([stats.timeBelowRange, stats.timeInRange, stats.timeAboveRange], [13, 88, 0]);
+});
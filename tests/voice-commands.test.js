@@ -0,0 +1,55 @@
+// 语音修正命令：撤销、删除
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const executeCommand = app('executeCommand');
+
+// 记下撤销时对数据库的改动，不打开数据库
+const calls = [];
+app('(calls) => { deleteRecord = async (storeName, id) => { calls.push(["delete", storeName, id]); }; ' +
+    'restoreRecord = async (storeName, id) => { calls.push(["restore", storeName, id]); }; ' +
+    'updateRecord = async (storeName, record) => { calls.push(["update", storeName, record.id]); }; }')(calls);
+const setState = app('(locked, action) => { appLocked = locked; lastAction = action; }');
+
+test('锁定时只能撤销刚记的', async (t) => {
+    const cases = [
+        ['刚记的', { type: 'save', items: [{ storeName: 'glucose', id: 1 }] }, '已撤销刚才的记录。', [['delete', 'glucose', 1]]],
+        ['删除', { type: 'delete', items: [{ storeName: 'glucose', id: 2 }] }, '应用已锁定，请先解锁再撤销。', []],
+        ['修改', { type: 'amend', storeName: 'glucose', previous: { id: 3, value: 6.1 } }, '应用已锁定，请先解锁再撤销。', []]
+    ];
+    for (const [name, action, speech, expectedCalls] of cases) {
+        await t.test(name, async () => {
+            calls.length = 0;
+            setState(true, action);
+            assert.strictEqual(await executeCommand({ command: 'undo' }), speech);
+            assert.deepStrictEqual(calls, expectedCalls);
+        });
+    }
+    setState(false, null);
+});
+
+test('没锁定时可以撤销删除', async () => {
+    calls.length = 0;
+    setState(false, { type: 'delete', items: [{ storeName: 'pressure', id: 5 }] });
+    assert.strictEqual(await executeCommand({ command: 'undo' }), '已恢复刚才删除的记录。');
+    assert.deepStrictEqual(calls, [['restore', 'pressure', 5]]);
+});
+
+test('删除命令只认句首或"上一条""刚才"', async (t) => {
+    const parseHealthText = app('parseHealthText');
+    const cases = [
+        ['删除上一条', { command: 'delete', metric: null }],
+        ['删除上一条血压', { command: 'delete', metric: 'pressure' }],
+        ['删掉刚才的血糖', { command: 'delete', metric: 'glucose' }],
+        ['把上一条删掉', { command: 'delete', metric: null }],
+        ['血压130 85 别删除', { pressure: { systolic: 130, diastolic: 85, pulse: null } }],
+        ['血糖6.4 不要删掉', { glucose: { value: 6.4 } }]
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.deepStrictEqual(parseHealthText(input), expected);
+        });
+    }
+});
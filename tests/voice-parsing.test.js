@@ -0,0 +1,131 @@
+// 语音文字解析：中文数字转换和 parseHealthText
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+const app = loadApp();
+const normalizeChineseNumbers = app('normalizeChineseNumbers');
+const parseHealthText = app('parseHealthText');
+
+test('normalizeChineseNumbers', async (t) => {
+    const cases = [
+        // 小数
+        ['血糖六点四', '血糖6.4'],
+        ['血糖五点八', '血糖5.8'],
+        ['体温三十七度二', '体温37度2'],
+        // 两
+        ['今天走了两千步', '今天走了2000步'],
+        ['餐后两小时血糖八点二', '餐后2小时血糖8.2'],
+        ['打了两单位', '打了2单位'],
+        // 口语省略末位单位
+        ['血压一百三 八十五', '血压130 85'],
+        ['一万二千步', '12000步'],
+        // 钟点：阿拉伯数字原样保留，中文数字只转数字不加小数点
+        ['8点30', '8点30'],
+        ['早上8点30血糖6.4', '早上8点30血糖6.4'],
+        ['8点半', '8点半'],
+        ['八点半', '8点半'],
+        ['八点三十', '8点30'],
+        ['八点一刻', '8点1刻'],
+        ['8点30分', '8点30分'],
+        // 阿拉伯数字的"N点M"：跟在指标后面是小数，前面是时段或没有指标时是时间
+        ['血糖6点4', '血糖6.4'],
+        ['早上血糖6点4', '早上血糖6.4'],
+        ['血糖6.4晚上8点30', '血糖6.4晚上8点30'],
+        // 单位里的"千"
+        ['体重65千克', '体重65千克'],
+        ['体重六十五千克', '体重65千克'],
+        ['吃了三百千卡', '吃了300千卡'],
+        // 百分之
+        ['血氧百分之九十八', '血氧98%'],
+        // 已经是阿拉伯数字的不动
+        ['血糖6.4', '血糖6.4'],
+        ['血压130/85', '血压130/85']
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.strictEqual(normalizeChineseNumbers(input), expected);
+        });
+    }
+});
+
+test('parseHealthText 读数', async (t) => {
+    const cases = [
+        ['血糖6.4', { glucose: { value: 6.4 } }],
+        ['血糖六点四', { glucose: { value: 6.4 } }],
+        ['血糖6点4', { glucose: { value: 6.4 } }],
+        ['血糖12点5', { glucose: { value: 12.5 } }],
+        ['空腹血糖 6.1', { glucose: { value: 6.1, context: 'fasting' } }],
+        ['餐后两小时血糖八点二', { glucose: { value: 8.2, context: 'postMeal' } }],
+        ['血压一百三 八十五', { pressure: { systolic: 130, diastolic: 85, pulse: null } }],
+        ['血压130/85/72', { pressure: { systolic: 130, diastolic: 85, pulse: 72 } }],
+        ['体重65.5', { weight: { value: 65.5 } }],
+        ['体重65公斤', { weight: { value: 65 } }],
+        ['体重65千克', { weight: { value: 65 } }],
+        ['体重六十五千克', { weight: { value: 65 } }],
+        ['体重65kg', { weight: { value: 65 } }],
+        ['体重130斤', { weight: { value: 65 } }],
+        ['体温三十七度二', { temperature: { value: 37.2 } }],
+        ['血氧百分之九十七', { spo2: { value: 97 } }],
+        ['今天走了两千步', { steps: { value: 2000 } }],
+        ['血糖', {}]
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.deepStrictEqual(parseHealthText(input), expected);
+        });
+    }
+});
+
+test('parseHealthText 测量时间', async (t) => {
+    const cases = [
+        ['早上8点30血糖6.4', 8, 30],
+        ['早上八点三十血糖六点四', 8, 30],
+        ['早上8点半血糖6.4', 8, 30],
+        ['早上八点一刻血糖六点四', 8, 15],
+        ['早上八点五分血糖六点四', 8, 5],
+        ['早上8点30分血糖6点4', 8, 30],
+        ['血糖6点4早上8点30', 8, 30]
+    ];
+    for (const [input, hour, minute] of cases) {
+        await t.test(input, () => {
+            const parsed = parseHealthText(input);
+            assert.deepStrictEqual(parsed.glucose, { value: 6.4 });
+            const recordedAt = new Date(parsed.recordedAt);
+            assert.deepStrictEqual([recordedAt.getHours(), recordedAt.getMinutes()], [hour, minute]);
+        });
+    }
+});
+
+test('parseHealthText 不把读数当成钟点', async (t) => {
+    const cases = [
+        ['血压 120:50', { pressure: { systolic: 120, diastolic: 50, pulse: null } }],
+        ['血压120：80', { pressure: { systolic: 120, diastolic: 80, pulse: null } }],
+        ['血压 130:85', { pressure: { systolic: 130, diastolic: 85, pulse: null } }]
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.deepStrictEqual(parseHealthText(input), expected);
+        });
+    }
+});
+
+test('parseRecordedTime', async (t) => {
+    const parseRecordedTime = app('parseRecordedTime');
+    const now = new Date(2024, 5, 15, 21, 0);
+    const cases = [
+        ['早上8点30血糖6.4', [2024, 5, 15, 8, 30]],
+        ['8点血糖6.4', [2024, 5, 15, 20, 0]],
+        ['昨天晚上8点半血糖6.4', [2024, 5, 14, 20, 30]],
+        ['20:15血糖6.4', [2024, 5, 15, 20, 15]],
+        ['血糖6.4', null],
+        ['血压 120:50', null],
+        ['25点血糖6.4', null]
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            const { date } = parseRecordedTime(input, now);
+            assert.deepStrictEqual(date && [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes()], expected);
+        });
+    }
+});